@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "UserStatus" AS ENUM ('ACTIVE', 'SUSPENDED', 'BANNED');
+
+-- AlterEnum
+ALTER TYPE "UserRole" ADD VALUE 'ADMIN';
+
+-- AlterEnum
+ALTER TYPE "ProjectStatus" ADD VALUE 'CLOSED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "status" "UserStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "statusReason" TEXT,
+ADD COLUMN     "suspendedUntil" TIMESTAMP(3);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "roles" "UserRole"[] DEFAULT ARRAY[]::"UserRole"[];
+
+-- Existing accounts keep the single role they registered with
+UPDATE "User" SET "roles" = ARRAY["role"];
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "UserStatus" ADD VALUE 'DELETED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deletedAt" TIMESTAMP(3);
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "bidCount" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill bid counts
+UPDATE "Project" p SET "bidCount" = (SELECT COUNT(*) FROM "Bid" b WHERE b."projectId" = p."id");
+
+-- CreateIndex
+CREATE INDEX "Project_status_createdAt_idx" ON "Project"("status", "createdAt");
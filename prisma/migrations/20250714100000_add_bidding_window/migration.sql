@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "ProjectStatus" ADD VALUE 'EXPIRED';
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "biddingClosesAt" TIMESTAMP(3);
@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "ProjectStatus" ADD VALUE 'DRAFT';
+ALTER TYPE "ProjectStatus" ADD VALUE 'DISPUTED';
+ALTER TYPE "ProjectStatus" ADD VALUE 'CANCELLED';
+
+-- CreateTable
+CREATE TABLE "ProjectStatusChange" (
+    "id" TEXT NOT NULL,
+    "fromStatus" "ProjectStatus" NOT NULL,
+    "toStatus" "ProjectStatus" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "projectId" TEXT NOT NULL,
+    "changedById" TEXT,
+
+    CONSTRAINT "ProjectStatusChange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProjectStatusChange_projectId_createdAt_idx" ON "ProjectStatusChange"("projectId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ProjectStatusChange" ADD CONSTRAINT "ProjectStatusChange_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectStatusChange" ADD CONSTRAINT "ProjectStatusChange_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "ProjectVisibility" AS ENUM ('PUBLIC', 'INVITE_ONLY', 'PRIVATE');
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "visibility" "ProjectVisibility" NOT NULL DEFAULT 'PUBLIC';
+
+-- CreateTable
+CREATE TABLE "ProjectInvitation" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "projectId" TEXT NOT NULL,
+    "sellerId" TEXT NOT NULL,
+    "invitedById" TEXT,
+
+    CONSTRAINT "ProjectInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectInvitation_projectId_sellerId_key" ON "ProjectInvitation"("projectId", "sellerId");
+
+-- CreateIndex
+CREATE INDEX "ProjectInvitation_sellerId_idx" ON "ProjectInvitation"("sellerId");
+
+-- AddForeignKey
+ALTER TABLE "ProjectInvitation" ADD CONSTRAINT "ProjectInvitation_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectInvitation" ADD CONSTRAINT "ProjectInvitation_sellerId_fkey" FOREIGN KEY ("sellerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectInvitation" ADD CONSTRAINT "ProjectInvitation_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
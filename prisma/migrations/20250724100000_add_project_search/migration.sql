@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "searchVector" tsvector;
+
+-- Rebuild a project's search vector from its title (A), description (B) and tag names (C)
+CREATE FUNCTION "project_search_vector_update"() RETURNS trigger AS $$
+BEGIN
+  NEW."searchVector" :=
+    setweight(to_tsvector('english', coalesce(NEW."title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(NEW."description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce((
+      SELECT string_agg(t."name", ' ')
+      FROM "_ProjectToTag" pt
+      JOIN "Tag" t ON t."id" = pt."B"
+      WHERE pt."A" = NEW."id"
+    ), '')), 'C');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Project_searchVector_update"
+BEFORE INSERT OR UPDATE OF "title", "description" ON "Project"
+FOR EACH ROW EXECUTE FUNCTION "project_search_vector_update"();
+
+-- Tagging or untagging a project rebuilds its vector
+CREATE FUNCTION "project_tag_search_vector_update"() RETURNS trigger AS $$
+BEGIN
+  UPDATE "Project" SET "title" = "title"
+  WHERE "id" = CASE WHEN TG_OP = 'DELETE' THEN OLD."A" ELSE NEW."A" END;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ProjectToTag_searchVector_update"
+AFTER INSERT OR DELETE ON "_ProjectToTag"
+FOR EACH ROW EXECUTE FUNCTION "project_tag_search_vector_update"();
+
+-- Renaming a tag rebuilds the vectors of projects using it
+CREATE FUNCTION "tag_search_vector_update"() RETURNS trigger AS $$
+BEGIN
+  UPDATE "Project" SET "title" = "title"
+  WHERE "id" IN (SELECT "A" FROM "_ProjectToTag" WHERE "B" = NEW."id");
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Tag_searchVector_update"
+AFTER UPDATE OF "name" ON "Tag"
+FOR EACH ROW EXECUTE FUNCTION "tag_search_vector_update"();
+
+-- Backfill existing projects
+UPDATE "Project" SET "title" = "title";
+
+-- CreateIndex
+CREATE INDEX "Project_searchVector_idx" ON "Project" USING GIN ("searchVector");
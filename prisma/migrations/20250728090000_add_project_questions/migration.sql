@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ProjectQuestion" (
+    "id" TEXT NOT NULL,
+    "question" TEXT NOT NULL,
+    "answer" TEXT,
+    "anonymous" BOOLEAN NOT NULL DEFAULT false,
+    "answeredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "authorId" TEXT NOT NULL,
+    "answeredById" TEXT,
+
+    CONSTRAINT "ProjectQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProjectQuestion_projectId_createdAt_idx" ON "ProjectQuestion"("projectId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ProjectQuestion" ADD CONSTRAINT "ProjectQuestion_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectQuestion" ADD CONSTRAINT "ProjectQuestion_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectQuestion" ADD CONSTRAINT "ProjectQuestion_answeredById_fkey" FOREIGN KEY ("answeredById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,49 @@
+-- CreateTable
+CREATE TABLE "BidEvaluation" (
+    "id" TEXT NOT NULL,
+    "shortlisted" BOOLEAN NOT NULL DEFAULT false,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "bidId" TEXT NOT NULL,
+    "updatedById" TEXT,
+
+    CONSTRAINT "BidEvaluation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Review" (
+    "id" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "projectId" TEXT NOT NULL,
+    "reviewerId" TEXT,
+    "sellerId" TEXT NOT NULL,
+
+    CONSTRAINT "Review_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BidEvaluation_bidId_key" ON "BidEvaluation"("bidId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_projectId_key" ON "Review"("projectId");
+
+-- CreateIndex
+CREATE INDEX "Review_sellerId_idx" ON "Review"("sellerId");
+
+-- AddForeignKey
+ALTER TABLE "BidEvaluation" ADD CONSTRAINT "BidEvaluation_bidId_fkey" FOREIGN KEY ("bidId") REFERENCES "Bid"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BidEvaluation" ADD CONSTRAINT "BidEvaluation_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_sellerId_fkey" FOREIGN KEY ("sellerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
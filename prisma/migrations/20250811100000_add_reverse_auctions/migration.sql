@@ -0,0 +1,7 @@
+-- CreateEnum
+CREATE TYPE "BiddingMode" AS ENUM ('SEALED', 'REVERSE_AUCTION');
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "autoAward" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "biddingMode" "BiddingMode" NOT NULL DEFAULT 'SEALED',
+ADD COLUMN     "minBidDecrement" DOUBLE PRECISION;
@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "NegotiationParty" AS ENUM ('BUYER', 'SELLER');
+
+-- CreateEnum
+CREATE TYPE "BidOfferStatus" AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED', 'COUNTERED', 'SUPERSEDED');
+
+-- CreateTable
+CREATE TABLE "BidOffer" (
+    "id" TEXT NOT NULL,
+    "fromParty" "NegotiationParty" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "deliveryTime" INTEGER NOT NULL,
+    "message" TEXT,
+    "status" "BidOfferStatus" NOT NULL DEFAULT 'PENDING',
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bidId" TEXT NOT NULL,
+    "authorId" TEXT,
+
+    CONSTRAINT "BidOffer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BidRevision" (
+    "id" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "bidId" TEXT NOT NULL,
+    "authorId" TEXT,
+    "offerId" TEXT,
+
+    CONSTRAINT "BidRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BidOffer_bidId_createdAt_idx" ON "BidOffer"("bidId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BidRevision_offerId_key" ON "BidRevision"("offerId");
+
+-- CreateIndex
+CREATE INDEX "BidRevision_bidId_createdAt_idx" ON "BidRevision"("bidId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BidOffer" ADD CONSTRAINT "BidOffer_bidId_fkey" FOREIGN KEY ("bidId") REFERENCES "Bid"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BidOffer" ADD CONSTRAINT "BidOffer_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BidRevision" ADD CONSTRAINT "BidRevision_bidId_fkey" FOREIGN KEY ("bidId") REFERENCES "Bid"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BidRevision" ADD CONSTRAINT "BidRevision_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BidRevision" ADD CONSTRAINT "BidRevision_offerId_fkey" FOREIGN KEY ("offerId") REFERENCES "BidOffer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
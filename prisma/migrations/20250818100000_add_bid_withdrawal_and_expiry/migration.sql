@@ -0,0 +1,11 @@
+-- AlterEnum
+ALTER TYPE "BidStatus" ADD VALUE 'WITHDRAWN';
+ALTER TYPE "BidStatus" ADD VALUE 'EXPIRED';
+
+-- AlterTable
+ALTER TABLE "Bid" ADD COLUMN     "validUntil" TIMESTAMP(3),
+ADD COLUMN     "withdrawalReason" TEXT,
+ADD COLUMN     "withdrawnAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Bid_status_validUntil_idx" ON "Bid"("status", "validUntil");
@@ -0,0 +1,577 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { revokeAllSessions } = require('../utils/sessionService');
+const { changeProjectStatus } = require('../utils/projectLifecycle');
+
+// Fields admins see when listing users
+const userSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  roles: true,
+  avatar: true,
+  emailVerified: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  createdAt: true,
+};
+
+// Values the list filters accept (the Prisma enums)
+const USER_ROLES = ['BUYER', 'SELLER', 'ADMIN'];
+const USER_STATUSES = ['ACTIVE', 'SUSPENDED', 'BANNED', 'DELETED'];
+const PROJECT_STATUSES = ['DRAFT', 'PENDING', 'IN_PROGRESS', 'DISPUTED', 'COMPLETED', 'CANCELLED', 'CLOSED', 'EXPIRED'];
+
+// Parse an enum query param, rejecting values outside the enum
+const parseEnumParam = (value, allowed, name) => {
+  const parsed = String(value).toUpperCase();
+  if (!allowed.includes(parsed)) {
+    const error = new Error(`Invalid ${name}. Use one of: ${allowed.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed;
+};
+
+// Parse page/limit query params
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Load a user that an admin is about to moderate
+const findModeratableUser = async (userId, adminId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: userSelect,
+  });
+  
+  // Deleted accounts are anonymized for good
+  if (!user || user.status === 'DELETED') {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (user.id === adminId || user.roles.includes('ADMIN')) {
+    const error = new Error('Administrators cannot be moderated');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return user;
+};
+
+// List and search users
+const getUsers = async (req, res, next) => {
+  try {
+    const { search, role, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    // Create filter object
+    const filter = {};
+    
+    if (role) {
+      filter.roles = { has: parseEnumParam(role, USER_ROLES, 'role') };
+    }
+    
+    if (status) {
+      filter.status = parseEnumParam(status, USER_STATUSES, 'status');
+    }
+    
+    if (search) {
+      filter.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+    
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where: filter,
+        select: userSelect,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+      prisma.user.count({ where: filter }),
+    ]);
+    
+    res.status(200).json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a user with activity counts
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: {
+        ...userSelect,
+        _count: {
+          select: {
+            buyerProjects: true,
+            sellerProjects: true,
+            bids: true,
+          },
+        },
+      },
+    });
+    
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Suspend a user, optionally until a given date
+const suspendUser = async (req, res, next) => {
+  try {
+    const { reason, until } = req.body;
+    
+    if (!reason) {
+      const error = new Error('A reason is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const suspendedUntil = until ? new Date(until) : null;
+    
+    if (suspendedUntil && (isNaN(suspendedUntil) || suspendedUntil <= new Date())) {
+      const error = new Error('Suspension end date must be in the future');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await findModeratableUser(req.params.id, req.user.id);
+    
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        status: 'SUSPENDED',
+        statusReason: reason,
+        suspendedUntil,
+      },
+      select: userSelect,
+    });
+    
+    // Cut off any existing sessions right away
+    await revokeAllSessions(user.id);
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account has been suspended',
+      text: `Your account has been suspended${suspendedUntil ? ` until ${suspendedUntil.toUTCString()}` : ''}. Reason: ${reason}`,
+      html: `
+        <h2>Account Suspended</h2>
+        <p>Your account has been suspended${suspendedUntil ? ` until ${suspendedUntil.toUTCString()}` : ''}.</p>
+        <p>Reason: ${reason}</p>
+      `,
+    });
+    
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Permanently ban a user
+const banUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason) {
+      const error = new Error('A reason is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await findModeratableUser(req.params.id, req.user.id);
+    
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        status: 'BANNED',
+        statusReason: reason,
+        suspendedUntil: null,
+      },
+      select: userSelect,
+    });
+    
+    // Cut off any existing sessions right away
+    await revokeAllSessions(user.id);
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account has been banned',
+      text: `Your account has been banned. Reason: ${reason}`,
+      html: `
+        <h2>Account Banned</h2>
+        <p>Your account has been banned.</p>
+        <p>Reason: ${reason}</p>
+      `,
+    });
+    
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lift a suspension or ban
+const reinstateUser = async (req, res, next) => {
+  try {
+    const user = await findModeratableUser(req.params.id, req.user.id);
+    
+    if (user.status === 'ACTIVE') {
+      const error = new Error('User is already active');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        status: 'ACTIVE',
+        statusReason: null,
+        suspendedUntil: null,
+      },
+      select: userSelect,
+    });
+    
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account has been reinstated',
+      text: 'Your account has been reinstated. You can log in again.',
+      html: `
+        <h2>Account Reinstated</h2>
+        <p>Your account has been reinstated. You can log in again.</p>
+      `,
+    });
+    
+    res.status(200).json(updatedUser);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List and search all projects
+const getProjects = async (req, res, next) => {
+  try {
+    const { search, status } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    // Create filter object
+    const filter = {};
+    
+    if (status) {
+      filter.status = parseEnumParam(status, PROJECT_STATUSES, 'status');
+    }
+    
+    if (search) {
+      filter.OR = [
+        { title: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+    
+    const [projects, total] = await Promise.all([
+      prisma.project.findMany({
+        where: filter,
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take: limit,
+        include: {
+          buyer: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+          _count: {
+            select: { bids: true },
+          },
+        },
+      }),
+      prisma.project.count({ where: filter }),
+    ]);
+    
+    res.status(200).json({
+      projects,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Force-close a project
+const closeProject = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const { reason } = req.body;
+    
+    if (!reason) {
+      const error = new Error('A reason is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        buyer: true,
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const updatedProject = await changeProjectStatus(project, 'CLOSED', {
+      actor: 'admin',
+      userId: req.user.id,
+      reason,
+      operations: [
+        // Open bids can no longer win
+        prisma.bid.updateMany({
+          where: { projectId, status: 'PENDING' },
+          data: { status: 'REJECTED' },
+        }),
+      ],
+    });
+    
+    await sendEmail({
+      to: project.buyer.email,
+      subject: `Your project "${project.title}" has been closed`,
+      text: `Your project "${project.title}" has been closed by an administrator. Reason: ${reason}`,
+      html: `
+        <h2>Project Closed</h2>
+        <p>Your project "${project.title}" has been closed by an administrator.</p>
+        <p>Reason: ${reason}</p>
+      `,
+    });
+    
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Settle a dispute by resuming, completing or cancelling the project
+const resolveDispute = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const { status, reason } = req.body;
+    
+    if (!['IN_PROGRESS', 'COMPLETED', 'CANCELLED'].includes(status)) {
+      const error = new Error('Status must be IN_PROGRESS, COMPLETED or CANCELLED');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        buyer: true,
+        seller: true,
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (project.status !== 'DISPUTED') {
+      const error = new Error('Project is not disputed');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const updatedProject = await changeProjectStatus(project, status, {
+      actor: 'admin',
+      userId: req.user.id,
+      reason,
+    });
+    
+    // Let both parties know the outcome
+    const outcome = {
+      IN_PROGRESS: 'work on the project resumes',
+      COMPLETED: 'the project has been marked as completed',
+      CANCELLED: 'the project has been cancelled',
+    }[status];
+    
+    for (const party of [project.buyer, project.seller]) {
+      if (!party || !party.email) continue;
+      
+      await sendEmail({
+        to: party.email,
+        subject: `Dispute on "${project.title}" resolved`,
+        text: `The dispute on "${project.title}" has been resolved by an administrator: ${outcome}. Reason: ${reason}`,
+        html: `
+          <h2>Dispute Resolved</h2>
+          <p>The dispute on "${project.title}" has been resolved by an administrator: ${outcome}.</p>
+          <p>Reason: ${reason}</p>
+        `,
+      });
+    }
+    
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a project with its bids and files
+const deleteProject = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { id: true },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    await prisma.$transaction([
+      prisma.bid.deleteMany({ where: { projectId } }),
+      prisma.project.delete({ where: { id: projectId } }),
+    ]);
+    
+    res.status(200).json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a bid
+const deleteBid = async (req, res, next) => {
+  try {
+    const bidId = req.params.id;
+    
+    const bid = await prisma.bid.findUnique({
+      where: { id: bidId },
+      select: { id: true, status: true, projectId: true },
+    });
+    
+    if (!bid) {
+      const error = new Error('Bid not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (bid.status === 'ACCEPTED') {
+      const error = new Error('Cannot delete an accepted bid. Close the project instead');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Withdrawn and expired bids are already out of the project's bid count
+    const counted = !['WITHDRAWN', 'EXPIRED'].includes(bid.status);
+    
+    await prisma.$transaction([
+      prisma.bid.delete({
+        where: { id: bidId },
+      }),
+      ...(counted ? [
+        prisma.project.update({
+          where: { id: bid.projectId },
+          data: { bidCount: { decrement: 1 } },
+        }),
+      ] : []),
+    ]);
+    
+    res.status(200).json({ message: 'Bid deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get platform statistics
+const getStats = async (req, res, next) => {
+  try {
+    const [buyers, sellers, admins, usersByStatus, projectsByStatus, bidsByStatus] = await Promise.all([
+      prisma.user.count({ where: { roles: { has: 'BUYER' } } }),
+      prisma.user.count({ where: { roles: { has: 'SELLER' } } }),
+      prisma.user.count({ where: { roles: { has: 'ADMIN' } } }),
+      prisma.user.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.project.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.bid.groupBy({ by: ['status'], _count: { _all: true } }),
+    ]);
+    
+    // Turn groupBy rows into { KEY: count } objects
+    const toCounts = (rows, key) => rows.reduce((counts, row) => ({
+      ...counts,
+      [row[key]]: row._count._all,
+    }), {});
+    
+    res.status(200).json({
+      users: {
+        // Accounts can hold several roles, so these may add up to more than the total
+        byRole: {
+          BUYER: buyers,
+          SELLER: sellers,
+          ADMIN: admins,
+        },
+        byStatus: toCounts(usersByStatus, 'status'),
+      },
+      projects: {
+        byStatus: toCounts(projectsByStatus, 'status'),
+      },
+      bids: {
+        byStatus: toCounts(bidsByStatus, 'status'),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  getProjects,
+  closeProject,
+  resolveDispute,
+  deleteProject,
+  deleteBid,
+  getStats
+};
@@ -2,6 +2,19 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/sessionService');
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  sendLockoutEmail
+} = require('../utils/loginThrottle');
+const {
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../utils/verificationService');
+const { verifySecondFactor } = require('../utils/twoFactorService');
 
 // Register a new user
 const register = async (req, res, next) => {
@@ -43,20 +56,27 @@ const register = async (req, res, next) => {
         email,
         password: hashedPassword,
         role: role.toUpperCase(),
+        roles: [role.toUpperCase()],
       },
     });
     
-    // Generate JWT
-    const token = generateToken(user.id,user.role);
+    // Ask the user to confirm they own the email address
+    await sendVerificationEmail(user);
+    
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
     
     // Return user data (excluding password)
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
+        roles: user.roles,
+        emailVerified: user.emailVerified,
         createdAt: user.createdAt,
       },
     });
@@ -82,40 +102,131 @@ const login = async (req, res, next) => {
       where: { email }
     });
     
-    if (!user) {
-      const error = new Error('Invalid credentials');
-      error.statusCode = 401;
-      throw error;
+    // Refuse attempts while this IP or account is locked out or being slowed down
+    await assertLoginAllowed('ip', req.ip);
+    if (user) {
+      await assertLoginAllowed('user', user.id);
     }
     
     // Check password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = user && await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordLoginFailure('ip', req.ip);
+      
+      if (user && await recordLoginFailure('user', user.id)) {
+        await sendLockoutEmail(user);
+      }
+      
       const error = new Error('Invalid credentials');
       error.statusCode = 401;
       throw error;
     }
     
-    // Generate JWT
-    const token = generateToken(user.id,user.role);
+    // Accounts with two-factor auth need a second step before getting tokens.
+    // Failed-login counters are only reset once that step succeeds.
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+      
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
     
-    // Return user data (excluding password)
-    res.status(200).json({
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar,
-        createdAt: user.createdAt,
-      },
+    // A successful login also clears the IP, so typos from a shared network don't add up to a lockout
+    await resetLoginFailures('user', user.id);
+    await resetLoginFailures('ip', req.ip);
+    
+    await sendLoginResponse(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Complete a login with a TOTP or recovery code
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      const error = new Error('Challenge token and a code or recovery code are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+    
+    if (!decoded || decoded.purpose !== '2fa') {
+      const error = new Error('Invalid or expired login challenge. Please log in again');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
     });
+    
+    if (!user || !user.twoFactorEnabled) {
+      const error = new Error('Invalid or expired login challenge. Please log in again');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    // Guessing codes counts against the same throttle as guessing passwords
+    await assertLoginAllowed('user', user.id);
+    
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      if (await recordLoginFailure('user', user.id)) {
+        await sendLockoutEmail(user);
+      }
+      
+      const error = new Error('Invalid two-factor code');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    // A successful login also clears the IP, so typos from a shared network don't add up to a lockout
+    await resetLoginFailures('user', user.id);
+    await resetLoginFailures('ip', req.ip);
+    
+    await sendLoginResponse(user, req, res);
   } catch (error) {
     next(error);
   }
 };
 
+// Start a session for a fully authenticated user and send tokens with user data
+const sendLoginResponse = async (user, req, res) => {
+  // Start a session and issue tokens
+  const { token, refreshToken } = await createSession(user, req);
+  
+  // Return user data (excluding password)
+  res.status(200).json({
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      roles: user.roles,
+      avatar: user.avatar,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      createdAt: user.createdAt,
+    },
+  });
+};
+
 // Get current user profile
 const getProfile = async (req, res, next) => {
   try {
@@ -128,17 +239,168 @@ const getProfile = async (req, res, next) => {
   }
 };
 
-// Helper function to generate JWT
-const generateToken = (userId,role) => {
-  return jwt.sign(
-    { userId,role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Exchange a refresh token for a new token pair
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      const error = new Error('Refresh token is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Rotate the refresh token (the presented one can't be used again)
+    const tokens = await rotateSession(refreshToken);
+    
+    res.status(200).json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Log out of the current session
+const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId);
+    
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Log out of every session (all devices)
+const logoutAll = async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user.id);
+    
+    res.status(200).json({
+      message: 'Logged out of all devices',
+      sessionsRevoked: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verify email address using the token from the verification email
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      const error = new Error('Verification token is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const userId = await consumeUserToken(token, 'EMAIL_VERIFICATION');
+    
+    await prisma.user.update({
+      where: { id: userId },
+      data: { emailVerified: true },
+    });
+    
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a new verification email to the current user
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      const error = new Error('Email is already verified');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Request a password reset email
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      const error = new Error('Email is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+    
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+    
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.status(200).json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reset password using the token from the reset email
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      const error = new Error('Token and new password are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const userId = await consumeUserToken(token, 'PASSWORD_RESET');
+    
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+    
+    // Receiving the reset email also proves ownership of the address
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        password: hashedPassword,
+        emailVerified: true,
+      },
+    });
+    
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(userId);
+    
+    res.status(200).json({ message: 'Password reset successfully. Please log in again' });
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
   register,
   login,
-  getProfile
+  verifyTwoFactorLogin,
+  getProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
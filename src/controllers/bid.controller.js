@@ -1,6 +1,12 @@
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { sendEmail } = require('../utils/emailService');
+const { hasProjectPermission, canSellerAccessProject, canViewBid } = require('../utils/projectAccess');
+const { assertBiddingOpen, lockProjectForBidding } = require('../utils/biddingWindow');
+const { assertProjectAction } = require('../utils/projectLifecycle');
+const { assertUndercutsLowestBid, getExtendedClosingTime } = require('../utils/reverseAuction');
+const { diffBid } = require('../utils/bidRevisions');
+const { validateBidTerms } = require('../utils/bidValidation');
 
 // Get all bids for the current seller
 const getSellerBids = async (req, res, next) => {
@@ -56,6 +62,19 @@ const getSellerBids = async (req, res, next) => {
   }
 };
 
+// Turn a validity period in days into the date a bid lapses
+const parseValidUntil = (validForDays) => {
+  const days = Number(validForDays);
+  
+  if (!Number.isInteger(days) || days < 1) {
+    const error = new Error('validForDays must be a whole number of days, at least 1');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
 // Create a new bid
 const createBid = async (req, res, next) => {
   try {
@@ -66,7 +85,7 @@ const createBid = async (req, res, next) => {
       throw error;
     }
     
-    const { projectId, amount, deliveryTime, message } = req.body;
+    const { projectId, amount, deliveryTime, message, validForDays } = req.body;
     
     // Validation
     if (!projectId || !amount || !deliveryTime || !message) {
@@ -75,14 +94,34 @@ const createBid = async (req, res, next) => {
       throw error;
     }
     
-    // Verify project exists and is still pending
+    const bidAmount = parseFloat(amount);
+    const bidDeliveryTime = parseInt(deliveryTime);
+    
+    if (!(bidAmount > 0) || !(bidDeliveryTime > 0)) {
+      const error = new Error('Amount and delivery time must be positive numbers');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Bids stay open until selected unless the seller limits how long they stand
+    const validUntil = validForDays ? parseValidUntil(validForDays) : null;
+    
+    // Verify project exists and is still open for bids
     const project = await prisma.project.findUnique({
       where: { id: projectId },
       select: {
         id: true,
         title: true,
         status: true,
+        budgetMin: true,
+        budgetMax: true,
+        deadline: true,
+        biddingClosesAt: true,
+        biddingMode: true,
+        minBidDecrement: true,
+        visibility: true,
         buyerId: true,
+        organizationId: true,
         buyer: {
           select: {
             id: true,
@@ -93,55 +132,87 @@ const createBid = async (req, res, next) => {
       },
     });
     
-    if (!project) {
+    // Invite-only and private projects look like they don't exist to sellers who weren't invited
+    if (!project || !(await canSellerAccessProject(project, req.user.id))) {
       const error = new Error('Project not found');
       error.statusCode = 404;
       throw error;
     }
     
-    if (project.status !== 'PENDING') {
-      const error = new Error('Cannot bid on a project that is already in progress or completed');
-      error.statusCode = 400;
-      throw error;
-    }
+    assertBiddingOpen(project);
     
-    // Check if seller has already placed a bid on this project
-    const existingBid = await prisma.bid.findFirst({
-      where: {
-        projectId,
-        sellerId: req.user.id,
-      },
-    });
-    
-    if (existingBid) {
-      const error = new Error('You have already placed a bid on this project');
-      error.statusCode = 400;
+    // Accounts with both roles can't bid on projects they or their organization posted
+    if (await hasProjectPermission(project, req.user.id, 'view')) {
+      const error = new Error('You cannot bid on your own project');
+      error.statusCode = 403;
       throw error;
     }
     
-    // Create bid
-    const bid = await prisma.bid.create({
-      data: {
-        amount: parseFloat(amount),
-        deliveryTime: parseInt(deliveryTime),
-        message,
-        status: 'PENDING',
-        project: {
-          connect: { id: projectId }
+    // Bids outside the budget or deadline are flagged for the buyer, or refused under the reject policy
+    const warnings = validateBidTerms(project, { amount: bidAmount, deliveryTime: bidDeliveryTime });
+    
+    // Check and place the bid with the project locked, so bids placed at the same moment are checked one after another
+    const bid = await prisma.$transaction(async (tx) => {
+      const lockedProject = await lockProjectForBidding(tx, projectId);
+      
+      // Check if seller has already placed a bid on this project (sellers may bid again after withdrawing or lapsing)
+      const existingBid = await tx.bid.findFirst({
+        where: {
+          projectId,
+          sellerId: req.user.id,
+          status: { notIn: ['WITHDRAWN', 'EXPIRED'] },
         },
-        seller: {
-          connect: { id: req.user.id }
-        }
-      },
-      include: {
-        seller: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
+      });
+      
+      if (existingBid) {
+        const error = new Error('You have already placed a bid on this project');
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      // Reverse auctions: bids have to undercut the lowest one, and late bids push the close back
+      let extendedClosesAt = null;
+      if (project.biddingMode === 'REVERSE_AUCTION') {
+        await assertUndercutsLowestBid(project, bidAmount, tx);
+        extendedClosesAt = getExtendedClosingTime(lockedProject);
+      }
+      
+      // Create bid and bump the project's bid count
+      const createdBid = await tx.bid.create({
+        data: {
+          amount: bidAmount,
+          deliveryTime: bidDeliveryTime,
+          message,
+          status: 'PENDING',
+          validUntil,
+          warnings,
+          project: {
+            connect: { id: projectId }
           },
+          seller: {
+            connect: { id: req.user.id }
+          }
         },
-      },
+        include: {
+          seller: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+      
+      await tx.project.update({
+        where: { id: projectId },
+        data: {
+          bidCount: { increment: 1 },
+          ...(extendedClosesAt && { biddingClosesAt: extendedClosesAt }),
+        },
+      });
+      
+      return createdBid;
     });
     
     // Send email notification to the project owner
@@ -179,6 +250,12 @@ const updateBid = async (req, res, next) => {
           select: {
             id: true,
             status: true,
+            budgetMin: true,
+            budgetMax: true,
+            deadline: true,
+            biddingClosesAt: true,
+            biddingMode: true,
+            minBidDecrement: true,
           },
         },
       },
@@ -197,13 +274,20 @@ const updateBid = async (req, res, next) => {
     }
     
     // Only allow updates if bid is still pending and project is still pending
-    if (bid.status !== 'PENDING' || bid.project.status !== 'PENDING') {
-      const error = new Error('Cannot update a bid that has already been accepted or rejected');
+    if (bid.status !== 'PENDING') {
+      const error = new Error(`Cannot update a bid that has been ${bid.status.toLowerCase()}`);
       error.statusCode = 400;
       throw error;
     }
     
-    const { amount, deliveryTime, message } = req.body;
+    // Bids are frozen once bidding closes, unless the project's terms changed since they were placed
+    if (bid.termsChanged) {
+      assertProjectAction(bid.project, 'bid');
+    } else {
+      assertBiddingOpen(bid.project);
+    }
+    
+    const { amount, deliveryTime, message, validForDays } = req.body;
     
     // Build update data
     const updateData = {};
@@ -211,25 +295,82 @@ const updateBid = async (req, res, next) => {
     if (amount) updateData.amount = parseFloat(amount);
     if (deliveryTime) updateData.deliveryTime = parseInt(deliveryTime);
     if (message) updateData.message = message;
+    // null keeps the bid open until selected; a number of days restarts the validity period from now
+    if (validForDays !== undefined) updateData.validUntil = validForDays ? parseValidUntil(validForDays) : null;
     
-    // Update bid
-    const updatedBid = await prisma.bid.update({
-      where: { id: bidId },
-      data: updateData,
-      include: {
-        seller: {
-          select: {
-            id: true,
-            name: true,
+    if ((updateData.amount !== undefined && !(updateData.amount > 0))
+      || (updateData.deliveryTime !== undefined && !(updateData.deliveryTime > 0))) {
+      const error = new Error('Amount and delivery time must be positive numbers');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Revising a bid confirms it against the current terms
+    updateData.termsChanged = false;
+    updateData.warnings = validateBidTerms(bid.project, {
+      amount: updateData.amount !== undefined ? updateData.amount : bid.amount,
+      deliveryTime: updateData.deliveryTime !== undefined ? updateData.deliveryTime : bid.deliveryTime,
+    });
+    
+    // Keep the old terms in the bid's history; open counter-offers were made against them
+    const changes = diffBid(bid, updateData);
+    const termsRevised = Object.keys(changes).length > 0;
+    
+    // Update bid, with the project locked while an auction bid is checked against the others
+    const updatedBid = await prisma.$transaction(async (tx) => {
+      // Reverse auctions: new amounts have to undercut the lowest bid (free revisions after term changes excepted),
+      // and late ones push the close back
+      let extendedClosesAt = null;
+      if (bid.project.biddingMode === 'REVERSE_AUCTION' && updateData.amount !== undefined) {
+        const lockedProject = await lockProjectForBidding(tx, bid.project.id);
+        
+        if (!bid.termsChanged) {
+          await assertUndercutsLowestBid(bid.project, updateData.amount, tx);
+        }
+        extendedClosesAt = getExtendedClosingTime(lockedProject);
+      }
+      
+      const savedBid = await tx.bid.update({
+        where: { id: bidId },
+        data: updateData,
+        include: {
+          seller: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
-        },
-        project: {
-          select: {
-            id: true,
-            title: true,
+          project: {
+            select: {
+              id: true,
+              title: true,
+            },
           },
         },
-      },
+      });
+      
+      if (extendedClosesAt) {
+        await tx.project.update({
+          where: { id: bid.project.id },
+          data: { biddingClosesAt: extendedClosesAt },
+        });
+      }
+      
+      if (termsRevised) {
+        await tx.bidRevision.create({
+          data: {
+            bidId,
+            authorId: req.user.id,
+            changes,
+          },
+        });
+        await tx.bidOffer.updateMany({
+          where: { bidId, status: 'PENDING' },
+          data: { status: 'SUPERSEDED' },
+        });
+      }
+      
+      return savedBid;
     });
     
     res.status(200).json(updatedBid);
@@ -238,19 +379,32 @@ const updateBid = async (req, res, next) => {
   }
 };
 
-// Delete a bid
-const deleteBid = async (req, res, next) => {
+// Withdraw a bid, keeping it on record for the buyer with an optional reason
+const withdrawBid = async (req, res, next) => {
   try {
     const bidId = req.params.id;
+    const { reason } = req.body || {};
     
     // Verify bid exists and user is the owner
     const bid = await prisma.bid.findUnique({
       where: { id: bidId },
       include: {
+        seller: {
+          select: {
+            name: true,
+          },
+        },
         project: {
           select: {
             id: true,
+            title: true,
             status: true,
+            buyer: {
+              select: {
+                name: true,
+                email: true,
+              },
+            },
           },
         },
       },
@@ -263,24 +417,65 @@ const deleteBid = async (req, res, next) => {
     }
     
     if (bid.sellerId !== req.user.id) {
-      const error = new Error('You are not authorized to delete this bid');
+      const error = new Error('You are not authorized to withdraw this bid');
       error.statusCode = 403;
       throw error;
     }
     
-    // Only allow deletion if bid is still pending and project is still pending
-    if (bid.status !== 'PENDING' || bid.project.status !== 'PENDING') {
-      const error = new Error('Cannot delete a bid that has already been accepted or rejected');
+    // Only allow withdrawal if bid is still pending and the project is still taking bids
+    if (bid.status !== 'PENDING') {
+      const error = new Error(`Cannot withdraw a bid that has been ${bid.status.toLowerCase()}`);
       error.statusCode = 400;
       throw error;
     }
     
-    // Delete bid
-    await prisma.bid.delete({
-      where: { id: bidId },
+    assertProjectAction(bid.project, 'bid');
+    
+    // Withdraw bid, close its open counter-offers and update the project's bid count
+    let withdrawnBid;
+    try {
+      [withdrawnBid] = await prisma.$transaction([
+        // Only applies if the bid wasn't selected or expired in the meantime
+        prisma.bid.update({
+          where: { id: bidId, status: 'PENDING' },
+          data: {
+            status: 'WITHDRAWN',
+            withdrawnAt: new Date(),
+            withdrawalReason: reason || null,
+          },
+        }),
+        prisma.bidOffer.updateMany({
+          where: { bidId, status: 'PENDING' },
+          data: { status: 'SUPERSEDED' },
+        }),
+        prisma.project.update({
+          where: { id: bid.projectId },
+          data: { bidCount: { decrement: 1 } },
+        }),
+      ]);
+    } catch (err) {
+      if (err.code === 'P2025') {
+        const error = new Error('The bid changed in the meantime. Please reload and try again');
+        error.statusCode = 409;
+        throw error;
+      }
+      throw err;
+    }
+    
+    // Let the buyer know
+    await sendEmail({
+      to: bid.project.buyer.email,
+      subject: `A bid on "${bid.project.title}" was withdrawn`,
+      text: `${bid.seller.name} withdrew their bid on your project "${bid.project.title}".${reason ? ` Reason: ${reason}` : ''}`,
+      html: `
+        <h2>Bid Withdrawn</h2>
+        <p>Hi ${bid.project.buyer.name},</p>
+        <p>${bid.seller.name} withdrew their bid on your project "${bid.project.title}".</p>
+        ${reason ? `<p>Reason: ${reason}</p>` : ''}
+      `,
     });
     
-    res.status(200).json({ message: 'Bid deleted successfully' });
+    res.status(200).json(withdrawnBid);
   } catch (error) {
     next(error);
   }
@@ -306,9 +501,20 @@ const getBidById = async (req, res, next) => {
             id: true,
             title: true,
             buyerId: true,
+            organizationId: true,
             status: true,
           },
         },
+        attachments: {
+          select: {
+            id: true,
+            name: true,
+            size: true,
+            mimeType: true,
+            createdAt: true,
+          },
+          orderBy: { createdAt: 'asc' },
+        },
       },
     });
     
@@ -319,10 +525,7 @@ const getBidById = async (req, res, next) => {
     }
     
     // Only the bid owner (seller) or the project owner (buyer) can view the bid
-    const isOwner = bid.sellerId === req.user.id;
-    const isProjectOwner = bid.project.buyerId === req.user.id;
-    
-    if (!isOwner && !isProjectOwner) {
+    if (!(await canViewBid(bid, req.user.id))) {
       const error = new Error('You are not authorized to view this bid');
       error.statusCode = 403;
       throw error;
@@ -338,6 +541,6 @@ module.exports = {
   getSellerBids,
   createBid,
   updateBid,
-  deleteBid,
+  withdrawBid,
   getBidById
 };
\ No newline at end of file
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { canViewBid } = require('../utils/projectAccess');
+
+// Attachment fields returned to clients (the path on disk stays private)
+const attachmentSelect = {
+  id: true,
+  name: true,
+  size: true,
+  mimeType: true,
+  createdAt: true,
+};
+
+// Remove uploaded files that won't be kept
+const removeUploadedFiles = (files = []) => {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+// Load a bid with what's needed to check access to it
+const findBid = async (bidId) => {
+  const bid = await prisma.bid.findUnique({
+    where: { id: bidId },
+    select: {
+      id: true,
+      status: true,
+      sellerId: true,
+      project: {
+        select: {
+          buyerId: true,
+          organizationId: true,
+        },
+      },
+    },
+  });
+  
+  if (!bid) {
+    const error = new Error('Bid not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return bid;
+};
+
+// Throw unless the current user is the seller of a bid that can still change
+const assertCanChangeAttachments = (bid, userId) => {
+  if (bid.sellerId !== userId) {
+    const error = new Error('You are not authorized to change this bid\'s attachments');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  if (bid.status !== 'PENDING') {
+    const error = new Error(`Cannot change the attachments of a bid that has been ${bid.status.toLowerCase()}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Attach proposal files or samples to a bid (bid owner only)
+const uploadBidFiles = async (req, res, next) => {
+  try {
+    const bidId = req.params.id;
+    
+    const bid = await findBid(bidId);
+    assertCanChangeAttachments(bid, req.user.id);
+    
+    if (!req.files || req.files.length === 0) {
+      const error = new Error('No files uploaded');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const attachments = await prisma.$transaction(req.files.map(file => prisma.bidAttachment.create({
+      data: {
+        name: file.originalname,
+        path: file.path,
+        size: file.size,
+        mimeType: file.mimetype,
+        bid: {
+          connect: { id: bidId },
+        },
+      },
+      select: attachmentSelect,
+    })));
+    
+    res.status(201).json(attachments);
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    next(error);
+  }
+};
+
+// Download a bid attachment (bid owner or project owner)
+const downloadBidFile = async (req, res, next) => {
+  try {
+    const { id: bidId, fileId } = req.params;
+    
+    const bid = await findBid(bidId);
+    
+    if (!(await canViewBid(bid, req.user.id))) {
+      const error = new Error('You are not authorized to view this bid');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    const attachment = await prisma.bidAttachment.findFirst({
+      where: { id: fileId, bidId },
+    });
+    
+    if (!attachment) {
+      const error = new Error('File not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    res.download(attachment.path, attachment.name, (err) => {
+      if (err && !res.headersSent) {
+        const error = new Error('File not found');
+        error.statusCode = 404;
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a bid attachment (bid owner only)
+const deleteBidFile = async (req, res, next) => {
+  try {
+    const { id: bidId, fileId } = req.params;
+    
+    const bid = await findBid(bidId);
+    assertCanChangeAttachments(bid, req.user.id);
+    
+    const attachment = await prisma.bidAttachment.findFirst({
+      where: { id: fileId, bidId },
+    });
+    
+    if (!attachment) {
+      const error = new Error('File not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    await prisma.bidAttachment.delete({
+      where: { id: fileId },
+    });
+    removeUploadedFiles([attachment]);
+    
+    res.status(200).json({ message: 'File deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadBidFiles,
+  downloadBidFile,
+  deleteBidFile,
+};
@@ -0,0 +1,181 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { getSellerRatings, withSellerRating } = require('../utils/sellerRatings');
+
+// Most bids that can be compared side by side
+const MAX_COMPARED_BIDS = 20;
+
+// Criteria bids are scored on, and whether a higher value is better
+const COMPARISON_CRITERIA = {
+  amount: false,
+  deliveryTime: false,
+  rating: true,
+};
+
+// Scale a value to 0-1 across the compared bids, where 1 is the best of them
+const normalizeScore = (value, values, higherIsBetter) => {
+  if (value === null) {
+    return null;
+  }
+  
+  const known = values.filter(v => v !== null);
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  
+  if (max === min) {
+    return 1;
+  }
+  
+  const score = (value - min) / (max - min);
+  return Math.round((higherIsBetter ? score : 1 - score) * 1000) / 1000;
+};
+
+// Shortlist a bid and/or keep a private note on it (buyer side only)
+const updateBidEvaluation = async (req, res, next) => {
+  try {
+    const { id: projectId, bidId } = req.params;
+    const { shortlisted, note } = req.body;
+    
+    if (shortlisted === undefined && note === undefined) {
+      const error = new Error('Nothing to update. Provide shortlisted and/or note');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (shortlisted !== undefined && typeof shortlisted !== 'boolean') {
+      const error = new Error('shortlisted must be true or false');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const bid = await prisma.bid.findFirst({
+      where: { id: bidId, projectId },
+      select: { id: true },
+    });
+    
+    if (!bid) {
+      const error = new Error('Bid not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const data = {
+      ...(shortlisted !== undefined && { shortlisted }),
+      ...(note !== undefined && { note: note || null }),
+      updatedById: req.user.id,
+    };
+    
+    const evaluation = await prisma.bidEvaluation.upsert({
+      where: { bidId },
+      update: data,
+      create: { ...data, bidId },
+      select: {
+        bidId: true,
+        shortlisted: true,
+        note: true,
+        updatedAt: true,
+      },
+    });
+    
+    res.status(200).json(evaluation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Compare bids side by side with normalized scores (?bids=<id>,<id>,...; defaults to the shortlist)
+const compareBids = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const bidIds = req.query.bids
+      ? [...new Set(String(req.query.bids).split(',').map(id => id.trim()).filter(Boolean))]
+      : null;
+    
+    const bids = await prisma.bid.findMany({
+      where: bidIds
+        ? { id: { in: bidIds }, projectId }
+        : { projectId, evaluation: { is: { shortlisted: true } } },
+      include: {
+        evaluation: {
+          select: {
+            shortlisted: true,
+            note: true,
+          },
+        },
+        seller: {
+          select: {
+            id: true,
+            name: true,
+            avatar: true,
+            _count: {
+              select: {
+                sellerProjects: { where: { status: 'COMPLETED' } },
+              },
+            },
+          },
+        },
+      },
+    });
+    
+    if (bidIds && bids.length !== bidIds.length) {
+      const error = new Error('Bid not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (bids.length < 2 || bids.length > MAX_COMPARED_BIDS) {
+      const error = new Error(`Select between 2 and ${MAX_COMPARED_BIDS} bids to compare`);
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const ratings = await getSellerRatings([...new Set(bids.map(bid => bid.sellerId))]);
+    
+    const values = bids.map(bid => ({
+      amount: bid.amount,
+      deliveryTime: bid.deliveryTime,
+      rating: ratings.has(bid.sellerId) ? ratings.get(bid.sellerId).average : null,
+    }));
+    
+    // Score each criterion, then average the criteria that have a score
+    const comparison = bids.map((bid, index) => {
+      const scores = {};
+      
+      for (const [criterion, higherIsBetter] of Object.entries(COMPARISON_CRITERIA)) {
+        scores[criterion] = normalizeScore(
+          values[index][criterion],
+          values.map(value => value[criterion]),
+          higherIsBetter
+        );
+      }
+      
+      const known = Object.values(scores).filter(score => score !== null);
+      scores.overall = Math.round((known.reduce((sum, score) => sum + score, 0) / known.length) * 1000) / 1000;
+      
+      return {
+        ...bid,
+        evaluation: bid.evaluation || { shortlisted: false, note: null },
+        seller: {
+          ...withSellerRating(bid.seller, ratings),
+          completedProjects: bid.seller._count.sellerProjects,
+          _count: undefined,
+        },
+        scores,
+      };
+    });
+    
+    comparison.sort((a, b) => b.scores.overall - a.scores.overall);
+    
+    res.status(200).json({
+      criteria: Object.keys(COMPARISON_CRITERIA),
+      bids: comparison,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  updateBidEvaluation,
+  compareBids,
+};
@@ -0,0 +1,341 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { assertProjectAction } = require('../utils/projectLifecycle');
+const { diffBid } = require('../utils/bidRevisions');
+const { checkBidTerms } = require('../utils/bidValidation');
+
+// Author fields returned with offers and revisions
+const authorSelect = {
+  id: true,
+  name: true,
+};
+
+// Load a bid and work out which side of its negotiation the current user is on
+const findNegotiation = async (bidId, userId, permission) => {
+  const bid = await prisma.bid.findUnique({
+    where: { id: bidId },
+    include: {
+      seller: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+      project: {
+        select: {
+          id: true,
+          title: true,
+          status: true,
+          budgetMin: true,
+          budgetMax: true,
+          deadline: true,
+          biddingMode: true,
+          buyerId: true,
+          organizationId: true,
+          buyer: {
+            select: {
+              name: true,
+              email: true,
+            },
+          },
+        },
+      },
+    },
+  });
+  
+  if (!bid) {
+    const error = new Error('Bid not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  let party = null;
+  if (bid.sellerId === userId) {
+    party = 'SELLER';
+  } else if (await hasProjectPermission(bid.project, userId, permission)) {
+    party = 'BUYER';
+  }
+  
+  if (!party) {
+    const error = new Error('You are not part of this bid\'s negotiation');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return { bid, party };
+};
+
+// Throw unless the bid can still be negotiated
+const assertNegotiable = (bid) => {
+  if (bid.status !== 'PENDING') {
+    const error = new Error('Only pending bids can be negotiated');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  assertProjectAction(bid.project, 'negotiate');
+  
+  // Auction bids have to undercut each other in the open
+  if (bid.project.biddingMode === 'REVERSE_AUCTION') {
+    const error = new Error('Bids in a reverse auction cannot be negotiated');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Load a pending offer on a bid that the current party is answering
+const findOfferToAnswer = async (bidId, offerId, party) => {
+  const offer = await prisma.bidOffer.findFirst({
+    where: { id: offerId, bidId },
+  });
+  
+  if (!offer) {
+    const error = new Error('Offer not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (offer.fromParty === party) {
+    const error = new Error('You cannot answer your own offer');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  if (offer.status !== 'PENDING') {
+    const error = new Error(`This offer has already been ${offer.status.toLowerCase()}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return offer;
+};
+
+// Email the other side of a negotiation
+const notifyOtherParty = async (bid, party, subject, text) => {
+  const recipient = party === 'BUYER' ? bid.seller : bid.project.buyer;
+  
+  await sendEmail({
+    to: recipient.email,
+    subject,
+    text: `Hi ${recipient.name}, ${text}`,
+    html: `
+      <h2>Bid Negotiation</h2>
+      <p>Hi ${recipient.name},</p>
+      <p>${text}</p>
+      <p>Log in to your account to view the negotiation.</p>
+    `,
+  });
+};
+
+// Get a bid's negotiation thread (bid owner or project owner)
+const getBidOffers = async (req, res, next) => {
+  try {
+    await findNegotiation(req.params.id, req.user.id, 'view');
+    
+    const offers = await prisma.bidOffer.findMany({
+      where: { bidId: req.params.id },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        author: {
+          select: authorSelect,
+        },
+      },
+    });
+    
+    res.status(200).json(offers);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the history of a bid's terms (bid owner or project owner)
+const getBidRevisions = async (req, res, next) => {
+  try {
+    await findNegotiation(req.params.id, req.user.id, 'view');
+    
+    const revisions = await prisma.bidRevision.findMany({
+      where: { bidId: req.params.id },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        author: {
+          select: authorSelect,
+        },
+      },
+    });
+    
+    res.status(200).json(revisions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Make a counter-offer on price and/or timeline (bid owner, or project owner or organization manager)
+const createOffer = async (req, res, next) => {
+  try {
+    const bidId = req.params.id;
+    const { bid, party } = await findNegotiation(bidId, req.user.id, 'award');
+    
+    assertNegotiable(bid);
+    
+    const { message } = req.body;
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : bid.amount;
+    const deliveryTime = req.body.deliveryTime !== undefined ? parseInt(req.body.deliveryTime) : bid.deliveryTime;
+    
+    if (!(amount > 0) || !(deliveryTime > 0)) {
+      const error = new Error('Amount and delivery time must be positive numbers');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (amount === bid.amount && deliveryTime === bid.deliveryTime) {
+      const error = new Error('An offer has to change the amount or the delivery time');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // The new offer answers any open offer from the other side and replaces an open one of our own
+    const now = new Date();
+    const [, , offer] = await prisma.$transaction([
+      prisma.bidOffer.updateMany({
+        where: { bidId, status: 'PENDING', fromParty: { not: party } },
+        data: { status: 'COUNTERED', respondedAt: now },
+      }),
+      prisma.bidOffer.updateMany({
+        where: { bidId, status: 'PENDING', fromParty: party },
+        data: { status: 'SUPERSEDED' },
+      }),
+      prisma.bidOffer.create({
+        data: {
+          fromParty: party,
+          amount,
+          deliveryTime,
+          message: message || null,
+          bid: {
+            connect: { id: bidId },
+          },
+          author: {
+            connect: { id: req.user.id },
+          },
+        },
+        include: {
+          author: {
+            select: authorSelect,
+          },
+        },
+      }),
+    ]);
+    
+    await notifyOtherParty(
+      bid,
+      party,
+      `New offer on "${bid.project.title}"`,
+      `${req.user.name} offered $${amount} with delivery in ${deliveryTime} days for the bid on "${bid.project.title}".`
+    );
+    
+    res.status(201).json(offer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept the other side's offer, which becomes the bid's terms
+const acceptOffer = async (req, res, next) => {
+  try {
+    const { id: bidId, offerId } = req.params;
+    const { bid, party } = await findNegotiation(bidId, req.user.id, 'award');
+    
+    assertNegotiable(bid);
+    
+    const offer = await findOfferToAnswer(bidId, offerId, party);
+    
+    const terms = {
+      amount: offer.amount,
+      deliveryTime: offer.deliveryTime,
+    };
+    const changes = diffBid(bid, terms);
+    
+    let updatedBid;
+    try {
+      [, updatedBid] = await prisma.$transaction([
+        // Only applies if nobody answered the offer in the meantime
+        prisma.bidOffer.update({
+          where: { id: offerId, status: 'PENDING' },
+          data: { status: 'ACCEPTED', respondedAt: new Date() },
+        }),
+        // Agreed terms are current terms; both sides agreed to them, so they're flagged rather than refused.
+        // Only applies while the bid is still pending
+        prisma.bid.update({
+          where: { id: bidId, status: 'PENDING' },
+          data: { ...terms, termsChanged: false, warnings: checkBidTerms(bid.project, terms) },
+        }),
+        ...(Object.keys(changes).length > 0 ? [
+          prisma.bidRevision.create({
+            data: {
+              bidId,
+              offerId,
+              authorId: req.user.id,
+              changes,
+            },
+          }),
+        ] : []),
+      ]);
+    } catch (err) {
+      if (err.code === 'P2025') {
+        const error = new Error('The offer or bid changed in the meantime. Please reload and try again');
+        error.statusCode = 409;
+        throw error;
+      }
+      throw err;
+    }
+    
+    await notifyOtherParty(
+      bid,
+      party,
+      `Offer accepted on "${bid.project.title}"`,
+      `${req.user.name} accepted the offer of $${offer.amount} with delivery in ${offer.deliveryTime} days on "${bid.project.title}".`
+    );
+    
+    res.status(200).json(updatedBid);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject the other side's offer, leaving the bid's terms as they are
+const rejectOffer = async (req, res, next) => {
+  try {
+    const { id: bidId, offerId } = req.params;
+    const { bid, party } = await findNegotiation(bidId, req.user.id, 'award');
+    
+    assertNegotiable(bid);
+    
+    const offer = await findOfferToAnswer(bidId, offerId, party);
+    
+    const updatedOffer = await prisma.bidOffer.update({
+      where: { id: offer.id },
+      data: { status: 'REJECTED', respondedAt: new Date() },
+    });
+    
+    await notifyOtherParty(
+      bid,
+      party,
+      `Offer rejected on "${bid.project.title}"`,
+      `${req.user.name} rejected the offer of $${offer.amount} with delivery in ${offer.deliveryTime} days on "${bid.project.title}".`
+    );
+    
+    res.status(200).json(updatedOffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBidOffers,
+  getBidRevisions,
+  createOffer,
+  acceptOffer,
+  rejectOffer,
+};
@@ -0,0 +1,150 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { slugify } = require('../utils/tags');
+
+// Get all categories with their project counts
+const getCategories = async (req, res, next) => {
+  try {
+    const categories = await prisma.category.findMany({
+      orderBy: { name: 'asc' },
+      include: {
+        _count: {
+          select: { projects: true },
+        },
+      },
+    });
+    
+    // Format response
+    const formattedCategories = categories.map(category => ({
+      ...category,
+      projectCount: category._count.projects,
+      _count: undefined,
+    }));
+    
+    res.status(200).json(formattedCategories);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a category
+const createCategory = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      const error = new Error('Category name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (!slugify(name)) {
+      const error = new Error('Category name needs at least one letter or digit');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const slug = slugify(name);
+    
+    const existingCategory = await prisma.category.findUnique({
+      where: { slug },
+    });
+    
+    if (existingCategory) {
+      const error = new Error('Category already exists');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const category = await prisma.category.create({
+      data: { name: name.trim(), slug },
+    });
+    
+    res.status(201).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename a category
+const updateCategory = async (req, res, next) => {
+  try {
+    const categoryId = req.params.id;
+    const { name } = req.body;
+    
+    if (!name) {
+      const error = new Error('Category name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (!slugify(name)) {
+      const error = new Error('Category name needs at least one letter or digit');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const category = await prisma.category.findUnique({
+      where: { id: categoryId },
+    });
+    
+    if (!category) {
+      const error = new Error('Category not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const slug = slugify(name);
+    
+    const existingCategory = await prisma.category.findUnique({
+      where: { slug },
+    });
+    
+    if (existingCategory && existingCategory.id !== categoryId) {
+      const error = new Error('Category already exists');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const updatedCategory = await prisma.category.update({
+      where: { id: categoryId },
+      data: { name: name.trim(), slug },
+    });
+    
+    res.status(200).json(updatedCategory);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a category (its projects become uncategorized)
+const deleteCategory = async (req, res, next) => {
+  try {
+    const categoryId = req.params.id;
+    
+    const category = await prisma.category.findUnique({
+      where: { id: categoryId },
+    });
+    
+    if (!category) {
+      const error = new Error('Category not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    await prisma.category.delete({
+      where: { id: categoryId },
+    });
+    
+    res.status(200).json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
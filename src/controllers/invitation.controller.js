@@ -0,0 +1,221 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { assertProjectAction } = require('../utils/projectLifecycle');
+
+// Seller fields returned with invitations
+const sellerSelect = {
+  id: true,
+  name: true,
+  email: true,
+  avatar: true,
+};
+
+// Get the sellers invited to a project
+const getProjectInvitations = async (req, res, next) => {
+  try {
+    const invitations = await prisma.projectInvitation.findMany({
+      where: { projectId: req.params.id },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        seller: {
+          select: sellerSelect,
+        },
+        invitedBy: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+    
+    res.status(200).json(invitations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite a seller to a project by id or email
+const inviteSeller = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const { sellerId, email } = req.body;
+    
+    if (!sellerId && !email) {
+      const error = new Error('A seller id or email is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        buyerId: true,
+        organizationId: true,
+      },
+    });
+    
+    // Sellers can be invited while the project can still be edited
+    assertProjectAction(project, 'edit');
+    
+    const seller = await prisma.user.findUnique({
+      where: sellerId ? { id: sellerId } : { email },
+      select: { id: true, name: true, email: true, roles: true, status: true },
+    });
+    
+    if (!seller || seller.status === 'DELETED') {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (!seller.roles.includes('SELLER')) {
+      const error = new Error('Only seller accounts can be invited to bid');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (await hasProjectPermission(project, seller.id, 'view')) {
+      const error = new Error('You cannot invite someone who already has access to the project as a buyer');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const existingInvitation = await prisma.projectInvitation.findUnique({
+      where: {
+        projectId_sellerId: { projectId, sellerId: seller.id },
+      },
+    });
+    
+    if (existingInvitation) {
+      const error = new Error('This seller has already been invited');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const invitation = await prisma.projectInvitation.create({
+      data: {
+        project: {
+          connect: { id: projectId },
+        },
+        seller: {
+          connect: { id: seller.id },
+        },
+        invitedBy: {
+          connect: { id: req.user.id },
+        },
+      },
+      include: {
+        seller: {
+          select: sellerSelect,
+        },
+      },
+    });
+    
+    // Drafts notify their invitees when they're published
+    if (project.status !== 'DRAFT') {
+      await sendEmail({
+        to: seller.email,
+        subject: `You're invited to bid on "${project.title}"`,
+        text: `Hi ${seller.name}, ${req.user.name} invited you to bid on the project "${project.title}".`,
+        html: `
+          <h2>Project Invitation</h2>
+          <p>Hi ${seller.name},</p>
+          <p>${req.user.name} invited you to bid on the project "${project.title}".</p>
+          <p>Log in to your account to view the project and place your bid.</p>
+        `,
+      });
+    }
+    
+    res.status(201).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Withdraw an invitation
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const { id: projectId, invitationId } = req.params;
+    
+    const invitation = await prisma.projectInvitation.findFirst({
+      where: { id: invitationId, projectId },
+    });
+    
+    if (!invitation) {
+      const error = new Error('Invitation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    await prisma.projectInvitation.delete({
+      where: { id: invitationId },
+    });
+    
+    res.status(200).json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the current seller's invitations to projects that are open for bids
+const getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await prisma.projectInvitation.findMany({
+      where: {
+        sellerId: req.user.id,
+        project: { status: 'PENDING' },
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        project: {
+          select: {
+            id: true,
+            title: true,
+            budgetMin: true,
+            budgetMax: true,
+            deadline: true,
+            biddingClosesAt: true,
+            visibility: true,
+            buyer: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+          },
+        },
+      },
+    });
+    
+    // Format projects
+    const formattedInvitations = invitations.map(invitation => ({
+      ...invitation,
+      project: {
+        ...invitation.project,
+        budget: {
+          min: invitation.project.budgetMin,
+          max: invitation.project.budgetMax,
+        },
+        budgetMin: undefined,
+        budgetMax: undefined,
+      },
+    }));
+    
+    res.status(200).json(formattedInvitations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjectInvitations,
+  inviteSeller,
+  revokeInvitation,
+  getMyInvitations,
+};
@@ -0,0 +1,392 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { assertProjectAction, changeProjectStatus } = require('../utils/projectLifecycle');
+const { canViewProject } = require('../utils/projectAccess');
+
+// Load a milestone that belongs to the given project, with the project's parties
+const findMilestone = async (projectId, milestoneId) => {
+  const milestone = await prisma.milestone.findFirst({
+    where: { id: milestoneId, projectId },
+    include: {
+      project: {
+        include: {
+          buyer: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+          seller: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      },
+    },
+  });
+  
+  if (!milestone) {
+    const error = new Error('Milestone not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return milestone;
+};
+
+// Validate milestone fields from the request body
+const parseMilestoneInput = (body, { partial = false } = {}) => {
+  const { title, description, amount, dueDate } = body;
+  
+  if (!partial && (!title || !amount || !dueDate)) {
+    const error = new Error('Title, amount and due date are required');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const data = {};
+  
+  if (title) data.title = title;
+  if (description !== undefined) data.description = description;
+  if (amount) {
+    data.amount = parseFloat(amount);
+    if (!(data.amount > 0)) {
+      const error = new Error('Amount must be a positive number');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (dueDate) {
+    data.dueDate = new Date(dueDate);
+    if (isNaN(data.dueDate)) {
+      const error = new Error('Invalid due date');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  
+  return data;
+};
+
+// Get all milestones for a project
+const getProjectMilestones = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        buyerId: true,
+        sellerId: true,
+        organizationId: true,
+        status: true,
+        visibility: true,
+      },
+    });
+    
+    if (!project || !(await canViewProject(project, req.user))) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const milestones = await prisma.milestone.findMany({
+      where: { projectId },
+      orderBy: { position: 'asc' },
+    });
+    
+    res.status(200).json(milestones);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a milestone to a project
+const createMilestone = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: { id: true, status: true },
+    });
+    
+    assertProjectAction(project, 'planMilestones');
+    
+    const data = parseMilestoneInput(req.body);
+    
+    // Append after the last milestone
+    const position = await prisma.milestone.count({
+      where: { projectId },
+    });
+    
+    const milestone = await prisma.milestone.create({
+      data: {
+        ...data,
+        position,
+        project: {
+          connect: { id: projectId },
+        },
+      },
+    });
+    
+    res.status(201).json(milestone);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a milestone that hasn't been worked on yet
+const updateMilestone = async (req, res, next) => {
+  try {
+    const milestone = await findMilestone(req.params.id, req.params.milestoneId);
+    
+    // The plan is part of what the seller bid on, so it's fixed once a bid is selected
+    assertProjectAction(milestone.project, 'planMilestones');
+    
+    if (milestone.status !== 'PENDING') {
+      const error = new Error('Only pending milestones can be edited');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const data = parseMilestoneInput(req.body, { partial: true });
+    
+    const updatedMilestone = await prisma.milestone.update({
+      where: { id: milestone.id },
+      data,
+    });
+    
+    res.status(200).json(updatedMilestone);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a milestone that hasn't been worked on yet
+const deleteMilestone = async (req, res, next) => {
+  try {
+    const milestone = await findMilestone(req.params.id, req.params.milestoneId);
+    
+    // The plan is part of what the seller bid on, so it's fixed once a bid is selected
+    assertProjectAction(milestone.project, 'planMilestones');
+    
+    if (milestone.status !== 'PENDING') {
+      const error = new Error('Only pending milestones can be deleted');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await prisma.$transaction([
+      prisma.milestone.delete({
+        where: { id: milestone.id },
+      }),
+      // Close the gap in the ordering
+      prisma.milestone.updateMany({
+        where: {
+          projectId: milestone.projectId,
+          position: { gt: milestone.position },
+        },
+        data: { position: { decrement: 1 } },
+      }),
+    ]);
+    
+    res.status(200).json({ message: 'Milestone deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Submit a milestone for review (selected seller only)
+const submitMilestone = async (req, res, next) => {
+  try {
+    const milestone = await findMilestone(req.params.id, req.params.milestoneId);
+    const { project } = milestone;
+    
+    if (project.sellerId !== req.user.id) {
+      const error = new Error('Only the selected seller can submit milestones');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    assertProjectAction(project, 'deliverMilestones');
+    
+    if (!['PENDING', 'REVISION_REQUESTED'].includes(milestone.status)) {
+      const error = new Error('This milestone has already been submitted or approved');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const updatedMilestone = await prisma.milestone.update({
+      where: { id: milestone.id },
+      data: {
+        status: 'SUBMITTED',
+        submissionNote: req.body.note || null,
+        submittedAt: new Date(),
+      },
+    });
+    
+    // Let the buyer know there's something to review
+    await sendEmail({
+      to: project.buyer.email,
+      subject: `Milestone "${milestone.title}" submitted for "${project.title}"`,
+      text: `${project.seller.name} submitted the milestone "${milestone.title}" on your project "${project.title}". Please review it.`,
+      html: `
+        <h2>Milestone Submitted</h2>
+        <p>${project.seller.name} submitted the milestone "${milestone.title}" on your project "${project.title}".</p>
+        <p>Log in to your account to approve it or request changes.</p>
+      `,
+    });
+    
+    res.status(200).json(updatedMilestone);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve a submitted milestone. The project completes once every milestone is approved.
+const approveMilestone = async (req, res, next) => {
+  try {
+    const milestone = await findMilestone(req.params.id, req.params.milestoneId);
+    const { project } = milestone;
+    
+    // Reviews wait while a dispute is open
+    assertProjectAction(project, 'deliverMilestones');
+    
+    if (milestone.status !== 'SUBMITTED') {
+      const error = new Error('Only submitted milestones can be approved');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Approve and count what's left with the project locked, so approving the last milestones at once completes it exactly once
+    const { updatedMilestone, projectCompleted } = await prisma.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT "id" FROM "Project" WHERE "id" = ${project.id} FOR UPDATE`;
+      
+      let approvedMilestone;
+      try {
+        // Only applies if nobody reviewed the milestone in the meantime
+        approvedMilestone = await tx.milestone.update({
+          where: { id: milestone.id, status: 'SUBMITTED' },
+          data: {
+            status: 'APPROVED',
+            feedback: null,
+            approvedAt: new Date(),
+          },
+        });
+      } catch (err) {
+        if (err.code === 'P2025') {
+          const error = new Error('The milestone was reviewed in the meantime. Please reload and try again');
+          error.statusCode = 409;
+          throw error;
+        }
+        throw err;
+      }
+      
+      const remaining = await tx.milestone.count({
+        where: {
+          projectId: project.id,
+          status: { not: 'APPROVED' },
+        },
+      });
+      
+      if (remaining === 0) {
+        await changeProjectStatus(project, 'COMPLETED', {
+          actor: 'buyer',
+          userId: req.user.id,
+          reason: 'All milestones approved',
+          tx,
+        });
+      }
+      
+      return { updatedMilestone: approvedMilestone, projectCompleted: remaining === 0 };
+    });
+    
+    // Send email notification to the seller
+    if (project.seller && project.seller.email) {
+      await sendEmail({
+        to: project.seller.email,
+        subject: `Milestone "${milestone.title}" approved`,
+        text: `The milestone "${milestone.title}" on "${project.title}" has been approved.${projectCompleted ? ' All milestones are approved and the project is now completed. Thank you for your work!' : ''}`,
+        html: `
+          <h2>Milestone Approved</h2>
+          <p>The milestone "${milestone.title}" on "${project.title}" has been approved.</p>
+          ${projectCompleted ? '<p>All milestones are approved and the project is now completed. Thank you for your work!</p>' : ''}
+        `,
+      });
+    }
+    
+    res.status(200).json({
+      ...updatedMilestone,
+      projectCompleted,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send a submitted milestone back to the seller with feedback
+const requestMilestoneRevision = async (req, res, next) => {
+  try {
+    const { feedback } = req.body;
+    
+    if (!feedback) {
+      const error = new Error('Feedback is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const milestone = await findMilestone(req.params.id, req.params.milestoneId);
+    const { project } = milestone;
+    
+    assertProjectAction(project, 'deliverMilestones');
+    
+    if (milestone.status !== 'SUBMITTED') {
+      const error = new Error('Only submitted milestones can be sent back for revision');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const updatedMilestone = await prisma.milestone.update({
+      where: { id: milestone.id },
+      data: {
+        status: 'REVISION_REQUESTED',
+        feedback,
+      },
+    });
+    
+    // Send email notification to the seller
+    if (project.seller && project.seller.email) {
+      await sendEmail({
+        to: project.seller.email,
+        subject: `Changes requested on milestone "${milestone.title}"`,
+        text: `The client requested changes to the milestone "${milestone.title}" on "${project.title}": ${feedback}`,
+        html: `
+          <h2>Revision Requested</h2>
+          <p>The client requested changes to the milestone "${milestone.title}" on "${project.title}":</p>
+          <p>${feedback}</p>
+        `,
+      });
+    }
+    
+    res.status(200).json(updatedMilestone);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjectMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  submitMilestone,
+  approveMilestone,
+  requestMilestoneRevision
+};
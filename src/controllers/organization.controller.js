@@ -0,0 +1,520 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+
+const ORGANIZATION_ROLES = ['OWNER', 'MANAGER', 'VIEWER'];
+
+// Member fields returned with an organization
+const memberInclude = {
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      avatar: true,
+    },
+  },
+};
+
+// Load the current user's membership, failing if they're not a member (or lack the role)
+const getMembership = async (organizationId, userId, requiredRole) => {
+  const membership = await prisma.organizationMember.findUnique({
+    where: {
+      organizationId_userId: { organizationId, userId },
+    },
+  });
+  
+  if (!membership) {
+    const error = new Error('Organization not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  if (requiredRole && membership.role !== requiredRole) {
+    const error = new Error('Only organization owners can do this');
+    error.statusCode = 403;
+    throw error;
+  }
+  
+  return membership;
+};
+
+// Make sure an organization keeps at least one owner besides the given member. Runs inside the transaction that
+// demotes or removes the member, with the organization locked so two owners can't step down at the same moment.
+const assertNotLastOwner = async (tx, organizationId, memberId) => {
+  await tx.$queryRaw`SELECT "id" FROM "Organization" WHERE "id" = ${organizationId} FOR UPDATE`;
+  
+  const otherOwners = await tx.organizationMember.count({
+    where: { organizationId, role: 'OWNER', id: { not: memberId } },
+  });
+  
+  if (otherOwners === 0) {
+    const error = new Error('An organization must keep at least one owner');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Load a pending invitation addressed to the current user
+const findMyInvitation = async (invitationId, userId) => {
+  const invitation = await prisma.organizationInvitation.findFirst({
+    where: { id: invitationId, userId },
+    include: {
+      organization: {
+        select: { id: true, name: true },
+      },
+    },
+  });
+  
+  if (!invitation) {
+    const error = new Error('Invitation not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return invitation;
+};
+
+// Create an organization (creator becomes its owner)
+const createOrganization = async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      const error = new Error('Organization name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (!req.user.roles.includes('BUYER')) {
+      const error = new Error('Only buyers can create organizations');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    const organization = await prisma.organization.create({
+      data: {
+        name,
+        members: {
+          create: {
+            role: 'OWNER',
+            user: {
+              connect: { id: req.user.id },
+            },
+          },
+        },
+      },
+      include: {
+        members: { include: memberInclude },
+      },
+    });
+    
+    res.status(201).json(organization);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get organizations the current user belongs to
+const getMyOrganizations = async (req, res, next) => {
+  try {
+    const memberships = await prisma.organizationMember.findMany({
+      where: { userId: req.user.id },
+      include: {
+        organization: {
+          include: {
+            _count: {
+              select: {
+                members: true,
+                projects: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+    
+    // Format response
+    const organizations = memberships.map(membership => ({
+      ...membership.organization,
+      myRole: membership.role,
+    }));
+    
+    res.status(200).json(organizations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get an organization with its members
+const getOrganizationById = async (req, res, next) => {
+  try {
+    const organizationId = req.params.id;
+    
+    const membership = await getMembership(organizationId, req.user.id);
+    
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      include: {
+        members: {
+          include: memberInclude,
+          orderBy: { createdAt: 'asc' },
+        },
+        invitations: {
+          include: memberInclude,
+          orderBy: { createdAt: 'asc' },
+        },
+      },
+    });
+    
+    res.status(200).json({
+      ...organization,
+      myRole: membership.role,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename an organization
+const updateOrganization = async (req, res, next) => {
+  try {
+    const organizationId = req.params.id;
+    const { name } = req.body;
+    
+    if (!name) {
+      const error = new Error('Organization name is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await getMembership(organizationId, req.user.id, 'OWNER');
+    
+    const organization = await prisma.organization.update({
+      where: { id: organizationId },
+      data: { name },
+    });
+    
+    res.status(200).json(organization);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete an organization (its projects stay with the buyers who created them)
+const deleteOrganization = async (req, res, next) => {
+  try {
+    const organizationId = req.params.id;
+    
+    await getMembership(organizationId, req.user.id, 'OWNER');
+    
+    await prisma.organization.delete({
+      where: { id: organizationId },
+    });
+    
+    res.status(200).json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Invite a buyer by email; they join once they accept
+const inviteMember = async (req, res, next) => {
+  try {
+    const organizationId = req.params.id;
+    const { email } = req.body;
+    const role = (req.body.role || '').toUpperCase();
+    
+    if (!email || !ORGANIZATION_ROLES.includes(role)) {
+      const error = new Error('Email and a role of OWNER, MANAGER or VIEWER are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await getMembership(organizationId, req.user.id, 'OWNER');
+    
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, email: true, roles: true },
+    });
+    
+    if (!user) {
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (!user.roles.includes('BUYER')) {
+      const error = new Error('Only buyer accounts can join an organization');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const existingMember = await prisma.organizationMember.findUnique({
+      where: {
+        organizationId_userId: { organizationId, userId: user.id },
+      },
+    });
+    
+    if (existingMember) {
+      const error = new Error('User is already a member of this organization');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const existingInvitation = await prisma.organizationInvitation.findUnique({
+      where: {
+        organizationId_userId: { organizationId, userId: user.id },
+      },
+    });
+    
+    if (existingInvitation) {
+      const error = new Error('User has already been invited to this organization');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const invitation = await prisma.organizationInvitation.create({
+      data: {
+        role,
+        organization: {
+          connect: { id: organizationId },
+        },
+        user: {
+          connect: { id: user.id },
+        },
+        invitedBy: {
+          connect: { id: req.user.id },
+        },
+      },
+      include: {
+        ...memberInclude,
+        organization: {
+          select: { name: true },
+        },
+      },
+    });
+    
+    // Let the invited user know
+    await sendEmail({
+      to: user.email,
+      subject: `You're invited to join "${invitation.organization.name}"`,
+      text: `${req.user.name} invited you to join the organization "${invitation.organization.name}" as ${role.toLowerCase()}. Log in to your account to accept or decline.`,
+      html: `
+        <h2>Organization Invitation</h2>
+        <p>${req.user.name} invited you to join the organization "${invitation.organization.name}" as ${role.toLowerCase()}.</p>
+        <p>Log in to your account to accept or decline the invitation.</p>
+      `,
+    });
+    
+    res.status(201).json({
+      ...invitation,
+      organization: undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Withdraw a pending invitation (owners only)
+const cancelInvitation = async (req, res, next) => {
+  try {
+    const { id: organizationId, invitationId } = req.params;
+    
+    await getMembership(organizationId, req.user.id, 'OWNER');
+    
+    const { count } = await prisma.organizationInvitation.deleteMany({
+      where: { id: invitationId, organizationId },
+    });
+    
+    if (count === 0) {
+      const error = new Error('Invitation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    res.status(200).json({ message: 'Invitation cancelled successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the organization invitations waiting for the current user
+const getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await prisma.organizationInvitation.findMany({
+      where: { userId: req.user.id },
+      include: {
+        organization: {
+          select: { id: true, name: true },
+        },
+        invitedBy: {
+          select: { id: true, name: true },
+        },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+    
+    res.status(200).json(invitations);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept an invitation and join the organization with the invited role
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findMyInvitation(req.params.invitationId, req.user.id);
+    
+    if (!req.user.roles.includes('BUYER')) {
+      const error = new Error('Only buyer accounts can join an organization');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    let member;
+    try {
+      [, member] = await prisma.$transaction([
+        // Fails if the invitation was cancelled or answered in the meantime
+        prisma.organizationInvitation.delete({
+          where: { id: invitation.id },
+        }),
+        prisma.organizationMember.create({
+          data: {
+            role: invitation.role,
+            organization: {
+              connect: { id: invitation.organizationId },
+            },
+            user: {
+              connect: { id: req.user.id },
+            },
+          },
+          include: memberInclude,
+        }),
+      ]);
+    } catch (err) {
+      if (err.code === 'P2025') {
+        const error = new Error('Invitation not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      throw err;
+    }
+    
+    res.status(201).json({
+      ...member,
+      organization: invitation.organization,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decline an invitation
+const declineInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findMyInvitation(req.params.invitationId, req.user.id);
+    
+    await prisma.organizationInvitation.deleteMany({
+      where: { id: invitation.id },
+    });
+    
+    res.status(200).json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a member's role
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { id: organizationId, userId } = req.params;
+    const role = (req.body.role || '').toUpperCase();
+    
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      const error = new Error('Role must be OWNER, MANAGER or VIEWER');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await getMembership(organizationId, req.user.id, 'OWNER');
+    
+    const member = await prisma.organizationMember.findUnique({
+      where: {
+        organizationId_userId: { organizationId, userId },
+      },
+    });
+    
+    if (!member) {
+      const error = new Error('Member not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const updatedMember = await prisma.$transaction(async (tx) => {
+      if (role !== 'OWNER') {
+        await assertNotLastOwner(tx, organizationId, member.id);
+      }
+      
+      return tx.organizationMember.update({
+        where: { id: member.id },
+        data: { role },
+        include: memberInclude,
+      });
+    });
+    
+    res.status(200).json(updatedMember);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member (owners can remove anyone, members can leave)
+const removeMember = async (req, res, next) => {
+  try {
+    const { id: organizationId, userId } = req.params;
+    
+    const isSelf = userId === req.user.id;
+    await getMembership(organizationId, req.user.id, isSelf ? undefined : 'OWNER');
+    
+    const member = await prisma.organizationMember.findUnique({
+      where: {
+        organizationId_userId: { organizationId, userId },
+      },
+    });
+    
+    if (!member) {
+      const error = new Error('Member not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    await prisma.$transaction(async (tx) => {
+      await assertNotLastOwner(tx, organizationId, member.id);
+      
+      await tx.organizationMember.delete({
+        where: { id: member.id },
+      });
+    });
+    
+    res.status(200).json({ message: 'Member removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getMyOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  deleteOrganization,
+  inviteMember,
+  cancelInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+};
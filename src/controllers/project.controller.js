@@ -1,158 +1,493 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const prisma = new PrismaClient();
 const { sendEmail } = require('../utils/emailService');
+const {
+  hasProjectPermission,
+  assertCanPostForOrganization,
+  buyerSideFilter,
+  sellerListingFilter,
+  buyerSideSql,
+  sellerListingSql,
+  canViewProject,
+  parseVisibility,
+} = require('../utils/projectAccess');
+const { openForBiddingFilter, openForBiddingSql, parseBiddingClosesAt } = require('../utils/biddingWindow');
+const {
+  assertProjectAction,
+  assertTransition,
+  changeProjectStatus,
+  awardBidOperations,
+  getAvailableTransitions,
+  findAffectedSellers,
+  sendCancellationEmails,
+} = require('../utils/projectLifecycle');
+const { slugify, parseTagNames, connectOrCreateTags } = require('../utils/tags');
+const { buildTsQuery, searchProjects, getSearchHighlights } = require('../utils/projectSearch');
+const { getSellerRatings, withSellerRating } = require('../utils/sellerRatings');
+const { parseAuctionSettings, getAuctionState } = require('../utils/reverseAuction');
+const {
+  daysBetween,
+  addDays,
+  toMilestonePlan,
+  fromMilestonePlan,
+  copyProjectFiles,
+  removeProjectFiles,
+} = require('../utils/projectCopy');
+
+// Category and tags included with projects
+const taxonomyInclude = {
+  category: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+    },
+  },
+  tags: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+    },
+  },
+};
+
+// Check a category id from the request body exists
+const assertCategoryExists = async (categoryId) => {
+  const category = await prisma.category.findUnique({
+    where: { id: categoryId },
+    select: { id: true },
+  });
+  
+  if (!category) {
+    const error = new Error('Category not found');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Fields recorded in a project's revision history
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'budgetMin',
+  'budgetMax',
+  'deadline',
+  'biddingClosesAt',
+  'visibility',
+  'categoryId',
+  'biddingMode',
+  'minBidDecrement',
+  'autoAward',
+];
+
+// Changes to these alter what sellers bid on, so existing bidders are told and may revise their bids
+const BID_TERM_FIELDS = {
+  title: 'title',
+  description: 'description',
+  budgetMin: 'budget',
+  budgetMax: 'budget',
+  deadline: 'deadline',
+};
+
+const toRevisionValue = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+// Work out which tracked fields an update changes, as { field: { from, to } }
+const diffProject = (project, changes, tagNames) => {
+  const diff = {};
+  
+  for (const field of REVISION_FIELDS) {
+    if (changes[field] === undefined) continue;
+    
+    const from = toRevisionValue(project[field]);
+    const to = toRevisionValue(changes[field]);
+    if (from !== to) {
+      diff[field] = { from, to };
+    }
+  }
+  
+  if (tagNames) {
+    const fromTags = project.tags.map(tag => tag.name).sort();
+    const toTags = [...tagNames].sort();
+    const fromSlugs = fromTags.map(slugify).join(',');
+    const toSlugs = toTags.map(slugify).join(',');
+    if (fromSlugs !== toSlugs) {
+      diff.tags = { from: fromTags, to: toTags };
+    }
+  }
+  
+  return diff;
+};
+
+// Fields projects can be sorted on via ?sort=<field>_<asc|desc>
+const SORTABLE_PROJECT_FIELDS = ['createdAt', 'deadline', 'budgetMin', 'budgetMax', 'bidCount', 'title'];
+
+// Fields a project's bids can be sorted on via ?sort=<field>_<asc|desc>
+const SORTABLE_BID_FIELDS = ['createdAt', 'amount', 'deliveryTime', 'rating'];
+
+// Statuses projects and bids can be filtered on via ?status=
+const PROJECT_STATUSES = ['DRAFT', 'PENDING', 'IN_PROGRESS', 'DISPUTED', 'COMPLETED', 'CANCELLED', 'CLOSED', 'EXPIRED'];
+const BID_STATUSES = ['PENDING', 'ACCEPTED', 'REJECTED', 'WITHDRAWN', 'EXPIRED'];
+
+// Parse an enum query param, rejecting values outside the enum
+const parseEnumParam = (value, allowed, name) => {
+  const parsed = String(value).toUpperCase();
+  if (!allowed.includes(parsed)) {
+    const error = new Error(`Invalid ${name}. Use one of: ${allowed.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed;
+};
+
+// Parse a numeric query param, rejecting garbage
+const parseNumberParam = (value, name) => {
+  const number = parseFloat(value);
+  if (isNaN(number)) {
+    const error = new Error(`${name} must be a number`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return number;
+};
+
+// Parse a whole-number query param for Int columns, rejecting garbage and fractions
+const parseIntegerParam = (value, name) => {
+  const number = Number(value);
+  if (!Number.isSafeInteger(number)) {
+    const error = new Error(`${name} must be a whole number`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return number;
+};
+
+// Parse a date query param, rejecting garbage
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    const error = new Error(`${name} must be a valid date`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+};
 
 // Get all projects based on user role
 const getAllProjects = async (req, res, next) => {
   try {
-    let projects = [];
-    const { status, search, sort } = req.query;
-    
-    // Create filter object
-    const filter = {};
+    const {
+      status,
+      search,
+      sort,
+      category,
+      tags,
+      tagMatch,
+      minBudget,
+      maxBudget,
+      deadlineFrom,
+      deadlineTo,
+      minBids,
+      maxBids,
+    } = req.query;
+    
+    // Pagination
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    // Create filter object, plus the same conditions in SQL for full-text searches
+    const filter = { AND: [] };
+    const searchConditions = [];
     
     // Add status filter if provided
     if (status) {
-      filter.status = status.toUpperCase();
+      filter.status = parseEnumParam(status, PROJECT_STATUSES, 'status');
+      searchConditions.push(Prisma.sql`p."status" = ${filter.status}::"ProjectStatus"`);
     }
     
-    // Add search filter if provided
-    if (search) {
-      filter.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } },
-      ];
+    // Full-text search is matched and ranked once the other filters are applied
+    const tsQuery = search ? buildTsQuery(search) : null;
+    
+    // Add category filter (by id or slug) if provided
+    if (category) {
+      filter.category = {
+        OR: [{ id: category }, { slug: slugify(category) }],
+      };
+      searchConditions.push(Prisma.sql`EXISTS (
+        SELECT 1 FROM "Category" c
+        WHERE c."id" = p."categoryId" AND (c."id" = ${category} OR c."slug" = ${slugify(category)})
+      )`);
     }
     
-    // Create sort object
-    let orderBy = { createdAt: 'desc' };
-    if (sort) {
-      const [field, direction] = sort.split('_');
-      if (field && direction) {
-        orderBy = { [field]: direction.toLowerCase() };
+    // Add tag filter if provided: projects with any of the tags, or all of them with tagMatch=all
+    const tagSlugs = parseTagNames(tags).map(slugify);
+    if (tagSlugs.length > 0) {
+      const hasTagSql = (slugs) => Prisma.sql`EXISTS (
+        SELECT 1 FROM "_ProjectToTag" pt JOIN "Tag" t ON t."id" = pt."B"
+        WHERE pt."A" = p."id" AND t."slug" IN (${Prisma.join(slugs)})
+      )`;
+      
+      if (tagMatch === 'all') {
+        filter.AND.push(...tagSlugs.map(slug => ({ tags: { some: { slug } } })));
+        searchConditions.push(...tagSlugs.map(slug => hasTagSql([slug])));
+      } else {
+        filter.tags = { some: { slug: { in: tagSlugs } } };
+        searchConditions.push(hasTagSql(tagSlugs));
+      }
+    }
+    
+    // Add budget filter: projects whose budget range overlaps the requested one
+    if (minBudget) {
+      filter.budgetMax = { gte: parseNumberParam(minBudget, 'minBudget') };
+      searchConditions.push(Prisma.sql`p."budgetMax" >= ${filter.budgetMax.gte}`);
+    }
+    if (maxBudget) {
+      filter.budgetMin = { lte: parseNumberParam(maxBudget, 'maxBudget') };
+      searchConditions.push(Prisma.sql`p."budgetMin" <= ${filter.budgetMin.lte}`);
+    }
+    
+    // Add deadline window filter
+    if (deadlineFrom || deadlineTo) {
+      filter.deadline = {};
+      if (deadlineFrom) {
+        filter.deadline.gte = parseDateParam(deadlineFrom, 'deadlineFrom');
+        searchConditions.push(Prisma.sql`p."deadline" >= ${filter.deadline.gte}`);
+      }
+      if (deadlineTo) {
+        filter.deadline.lte = parseDateParam(deadlineTo, 'deadlineTo');
+        searchConditions.push(Prisma.sql`p."deadline" <= ${filter.deadline.lte}`);
+      }
+    }
+    
+    // Add bid count filter
+    if (minBids || maxBids) {
+      filter.bidCount = {};
+      if (minBids) {
+        filter.bidCount.gte = parseIntegerParam(minBids, 'minBids');
+        searchConditions.push(Prisma.sql`p."bidCount" >= ${filter.bidCount.gte}`);
+      }
+      if (maxBids) {
+        filter.bidCount.lte = parseIntegerParam(maxBids, 'maxBids');
+        searchConditions.push(Prisma.sql`p."bidCount" <= ${filter.bidCount.lte}`);
+      }
+    }
+    
+    // Create sort object (only whitelisted fields can be sorted on). Searches sort by relevance unless told otherwise.
+    const sortByRelevance = Boolean(tsQuery) && (!sort || sort === 'relevance');
+    let orderBy = [{ createdAt: 'desc' }];
+    let searchSort = null;
+    if (sort === 'relevance' && !tsQuery) {
+      const error = new Error('Sorting by relevance requires a search');
+      error.statusCode = 400;
+      throw error;
+    } else if (sort && !sortByRelevance) {
+      const [field, direction = 'asc'] = sort.split('_');
+      
+      if (!SORTABLE_PROJECT_FIELDS.includes(field) || !['asc', 'desc'].includes(direction.toLowerCase())) {
+        const error = new Error(`Invalid sort. Use <field>_<asc|desc> with one of: ${SORTABLE_PROJECT_FIELDS.join(', ')}, or relevance when searching`);
+        error.statusCode = 400;
+        throw error;
       }
+      
+      // Tie-break on id so pages are stable
+      orderBy = [{ [field]: direction.toLowerCase() }, { id: 'asc' }];
+      searchSort = { field, direction: direction.toLowerCase() };
     }
     
-    // If user is a BUYER, get only their projects
+    // Listing depends on the role the user is currently acting as
+    let include;
+    
+    // If user is a BUYER, get only their own and their organizations' projects
     if (req.user.role === 'BUYER') {
-      filter.buyerId = req.user.id;
+      filter.AND.push(buyerSideFilter(req.user.id));
+      searchConditions.push(buyerSideSql(req.user.id));
       
-      projects = await prisma.project.findMany({
-        where: filter,
-        orderBy,
-        include: {
-          buyer: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-            },
-          },
-          seller: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-            },
+      include = {
+        buyer: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
           },
-          bids: {
-            select: {
-              id: true,
-            },
+        },
+        seller: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
           },
-          files: true,
         },
-      });
-      
-      // Add bid count to each project
-      projects = projects.map(project => ({
-        ...project,
-        bidCount: project.bids.length,
-        budget: {
-          min: project.budgetMin,
-          max: project.budgetMax,
+        organization: {
+          select: {
+            id: true,
+            name: true,
+          },
         },
-        // Remove unnecessary fields
-        budgetMin: undefined,
-        budgetMax: undefined,
-        bids: undefined,
-      }));
-    } 
+        ...taxonomyInclude,
+        files: true,
+      };
+    }
     // If user is a SELLER, get all available projects and projects where they are the selected seller
     else if (req.user.role === 'SELLER') {
-      // Get pending projects (available for bidding)
-      const pendingProjects = await prisma.project.findMany({
-        where: {
-          ...filter,
-          status: 'PENDING',
-        },
-        orderBy,
-        include: {
-          buyer: {
-            select: {
-              id: true,
-              name: true,
-            },
-          },
-          bids: {
-            select: {
-              id: true,
-            },
+      filter.AND.push({
+        OR: [
+          // Projects open for bidding and listed for this seller, except their own when the account is also a buyer
+          {
+            ...openForBiddingFilter(),
+            NOT: buyerSideFilter(req.user.id),
+            AND: [sellerListingFilter(req.user.id)],
           },
-        },
+          // Projects where the seller is selected
+          { sellerId: req.user.id },
+        ],
       });
+      searchConditions.push(Prisma.sql`(
+        (${openForBiddingSql()} AND NOT ${buyerSideSql(req.user.id)} AND ${sellerListingSql(req.user.id)})
+        OR p."sellerId" = ${req.user.id}
+      )`);
       
-      // Get projects where the seller is selected
-      const sellerProjects = await prisma.project.findMany({
-        where: {
-          sellerId: req.user.id,
-        },
-        orderBy,
-        include: {
-          buyer: {
-            select: {
-              id: true,
-              name: true,
-            },
+      include = {
+        buyer: {
+          select: {
+            id: true,
+            name: true,
           },
-          seller: {
-            select: {
-              id: true,
-              name: true,
-            },
+        },
+        seller: {
+          select: {
+            id: true,
+            name: true,
           },
         },
+        ...taxonomyInclude,
+      };
+    } else {
+      // Other roles have no project listing
+      return res.status(200).json({
+        projects: [],
+        pagination: { page, limit, total: 0, totalPages: 0 },
       });
+    }
+    
+    let projects;
+    let total;
+    let relevance = null;
+    
+    if (tsQuery) {
+      // Match, filter, rank and page in one query, then load the page's projects
+      ({ relevance, total } = await searchProjects(tsQuery, {
+        conditions: searchConditions,
+        sort: sortByRelevance ? null : searchSort,
+        skip: (page - 1) * limit,
+        take: limit,
+      }));
+      const pageIds = [...relevance.keys()];
       
-      // Combine and format projects
-      projects = [
-        ...pendingProjects.map(project => ({
-          ...project,
-          bidCount: project.bids.length,
-          budget: {
-            min: project.budgetMin,
-            max: project.budgetMax,
-          },
-          budgetMin: undefined,
-          budgetMax: undefined,
-          bids: undefined,
-        })),
-        ...sellerProjects.map(project => ({
-          ...project,
-          budget: {
-            min: project.budgetMin,
-            max: project.budgetMax,
-          },
-          budgetMin: undefined,
-          budgetMax: undefined,
-        })),
-      ];
-      
-      // Remove duplicates (in case a project appears in both arrays)
-      projects = Array.from(new Map(projects.map(p => [p.id, p])).values());
+      projects = await prisma.project.findMany({
+        where: { id: { in: pageIds } },
+        include,
+      });
+      projects.sort((a, b) => pageIds.indexOf(a.id) - pageIds.indexOf(b.id));
+    } else {
+      [projects, total] = await Promise.all([
+        prisma.project.findMany({
+          where: filter,
+          orderBy,
+          include,
+          skip: (page - 1) * limit,
+          take: limit,
+        }),
+        prisma.project.count({ where: filter }),
+      ]);
+    }
+    
+    // Highlight search matches
+    const highlights = tsQuery
+      ? await getSearchHighlights(projects.map(project => project.id), tsQuery)
+      : null;
+    
+    // Format projects
+    const formattedProjects = projects.map(project => ({
+      ...project,
+      budget: {
+        min: project.budgetMin,
+        max: project.budgetMax,
+      },
+      ...(highlights && {
+        relevance: relevance.get(project.id),
+        highlight: highlights.get(project.id),
+      }),
+      // Remove unnecessary fields
+      budgetMin: undefined,
+      budgetMax: undefined,
+    }));
+    
+    res.status(200).json({
+      projects: formattedProjects,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get open projects matching the current seller's skills, best matches first
+const getMatchingProjects = async (req, res, next) => {
+  try {
+    const seller = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        skills: {
+          select: { id: true },
+        },
+      },
+    });
+    
+    const skillIds = seller.skills.map(skill => skill.id);
+    
+    if (skillIds.length === 0) {
+      return res.status(200).json([]);
     }
     
-    res.status(200).json(projects);
+    const projects = await prisma.project.findMany({
+      where: {
+        ...openForBiddingFilter(),
+        tags: { some: { id: { in: skillIds } } },
+        NOT: buyerSideFilter(req.user.id),
+        AND: [sellerListingFilter(req.user.id)],
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        buyer: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        ...taxonomyInclude,
+      },
+    });
+    
+    // Rank by how many of the seller's skills each project asks for
+    const formattedProjects = projects
+      .map(project => ({
+        ...project,
+        matchingSkills: project.tags.filter(tag => skillIds.includes(tag.id)).length,
+        budget: {
+          min: project.budgetMin,
+          max: project.budgetMax,
+        },
+        budgetMin: undefined,
+        budgetMax: undefined,
+      }))
+      .sort((a, b) => b.matchingSkills - a.matchingSkills);
+    
+    res.status(200).json(formattedProjects);
   } catch (error) {
     next(error);
   }
@@ -180,19 +515,33 @@ const getProjectById = async (req, res, next) => {
             email: true,
           },
         },
+        ...taxonomyInclude,
         files: true,
+        milestones: {
+          orderBy: { position: 'asc' },
+        },
       },
     });
     
-    if (!project) {
+    // Hidden projects (drafts, and invite-only or private ones for sellers who weren't invited) look like they don't exist
+    if (!project || !(await canViewProject(project, req.user))) {
       const error = new Error('Project not found');
       error.statusCode = 404;
       throw error;
     }
     
+    // Status changes the current user could make next
+    const actors = [];
+    if (await hasProjectPermission(project, req.user.id, 'award')) actors.push('buyer');
+    if (project.sellerId === req.user.id) actors.push('seller');
+    if (req.user.role === 'ADMIN') actors.push('admin');
+    
     // Format project data
     const formattedProject = {
       ...project,
+      availableTransitions: getAvailableTransitions(project.status, actors),
+      // Reverse auctions show everyone the bid to beat
+      auction: await getAuctionState(project),
       budget: {
         min: project.budgetMin,
         max: project.budgetMax,
@@ -217,7 +566,18 @@ const createProject = async (req, res, next) => {
       throw error;
     }
     
-    const { title, description, budget, deadline } = req.body;
+    const {
+      title,
+      description,
+      budget,
+      deadline,
+      biddingClosesAt,
+      visibility,
+      organizationId,
+      categoryId,
+      tags,
+      draft,
+    } = req.body;
     
     // Validation
     if (!title || !description || !budget || !deadline) {
@@ -226,6 +586,21 @@ const createProject = async (req, res, next) => {
       throw error;
     }
     
+    // Bidding can optionally close before the deadline
+    const closesAt = biddingClosesAt ? parseBiddingClosesAt(biddingClosesAt, new Date(deadline)) : null;
+    
+    // Sealed bidding unless the project is posted as a reverse auction
+    const auctionSettings = parseAuctionSettings(req.body, {}, closesAt);
+    
+    // Projects can be posted on behalf of an organization by its owners and managers
+    if (organizationId) {
+      await assertCanPostForOrganization(organizationId, req.user.id);
+    }
+    
+    if (categoryId) {
+      await assertCategoryExists(categoryId);
+    }
+    
     // Create project
     const project = await prisma.project.create({
       data: {
@@ -234,11 +609,29 @@ const createProject = async (req, res, next) => {
         budgetMin: budget.min,
         budgetMax: budget.max,
         deadline: new Date(deadline),
-        status: 'PENDING',
+        biddingClosesAt: closesAt,
+        ...auctionSettings,
+        // Drafts are published later through the publish endpoint
+        status: draft ? 'DRAFT' : 'PENDING',
+        visibility: visibility ? parseVisibility(visibility) : 'PUBLIC',
         buyer: {
           connect: { id: req.user.id },
         },
+        ...(organizationId && {
+          organization: {
+            connect: { id: organizationId },
+          },
+        }),
+        ...(categoryId && {
+          category: {
+            connect: { id: categoryId },
+          },
+        }),
+        tags: {
+          connectOrCreate: connectOrCreateTags(parseTagNames(tags)),
+        },
       },
+      include: taxonomyInclude,
     });
     
     // Format response
@@ -272,8 +665,24 @@ const updateProject = async (req, res, next) => {
       where: { id: projectId },
       select: {
         id: true,
+        title: true,
+        description: true,
+        budgetMin: true,
+        budgetMax: true,
         buyerId: true,
+        organizationId: true,
+        categoryId: true,
         status: true,
+        visibility: true,
+        deadline: true,
+        biddingClosesAt: true,
+        biddingMode: true,
+        minBidDecrement: true,
+        autoAward: true,
+        bidCount: true,
+        tags: {
+          select: { name: true },
+        },
       },
     });
     
@@ -283,20 +692,16 @@ const updateProject = async (req, res, next) => {
       throw error;
     }
     
-    if (project.buyerId !== req.user.id) {
+    if (!(await hasProjectPermission(project, req.user.id, 'edit'))) {
       const error = new Error('You are not authorized to update this project');
       error.statusCode = 403;
       throw error;
     }
     
-    // Only allow updates if project is still pending
-    if (project.status !== 'PENDING') {
-      const error = new Error('Cannot update a project that is already in progress or completed');
-      error.statusCode = 400;
-      throw error;
-    }
+    // Only drafts and projects still taking bids can be edited
+    assertProjectAction(project, 'edit');
     
-    const { title, description, budget, deadline } = req.body;
+    const { title, description, budget, deadline, biddingClosesAt, visibility, categoryId, tags } = req.body;
     
     // Build update data
     const updateData = {};
@@ -308,26 +713,128 @@ const updateProject = async (req, res, next) => {
       updateData.budgetMax = budget.max;
     }
     if (deadline) updateData.deadline = new Date(deadline);
+    if (visibility) updateData.visibility = parseVisibility(visibility);
+    if (biddingClosesAt !== undefined) {
+      // null reopens bidding until the deadline
+      updateData.biddingClosesAt = biddingClosesAt
+        ? parseBiddingClosesAt(biddingClosesAt, updateData.deadline || project.deadline)
+        : null;
+    } else if (updateData.deadline && project.biddingClosesAt && project.biddingClosesAt > updateData.deadline) {
+      const error = new Error('Bidding must close before the project deadline');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const auctionSettings = parseAuctionSettings(
+      req.body,
+      project,
+      updateData.biddingClosesAt !== undefined ? updateData.biddingClosesAt : project.biddingClosesAt
+    );
+    
+    // Bidders joined under the current bidding rules
+    const rulesChanged = ['biddingMode', 'minBidDecrement']
+      .some(field => auctionSettings[field] !== undefined && auctionSettings[field] !== project[field]);
+    if (rulesChanged && project.bidCount > 0) {
+      const error = new Error('Bidding mode and decrement cannot change once bids have been placed');
+      error.statusCode = 400;
+      throw error;
+    }
+    Object.assign(updateData, auctionSettings);
+    
+    if (categoryId !== undefined) {
+      if (categoryId) {
+        await assertCategoryExists(categoryId);
+        updateData.category = { connect: { id: categoryId } };
+      } else {
+        updateData.category = { disconnect: true };
+      }
+    }
+    const tagNames = tags !== undefined ? parseTagNames(tags) : null;
+    if (tagNames) {
+      // Replace the project's tags
+      updateData.tags = {
+        set: [],
+        connectOrCreate: connectOrCreateTags(tagNames),
+      };
+    }
+    
+    // Record what changed; bids placed against the old terms are flagged so their sellers can revise them
+    const changes = diffProject(project, {
+      ...updateData,
+      categoryId: categoryId === undefined ? undefined : categoryId || null,
+    }, tagNames);
+    const changedTerms = [...new Set(
+      Object.keys(changes)
+        .filter(field => BID_TERM_FIELDS[field])
+        .map(field => BID_TERM_FIELDS[field])
+    )];
     
     // Update project
-    const updatedProject = await prisma.project.update({
-      where: { id: projectId },
-      data: updateData,
-      include: {
-        buyer: {
-          select: {
-            id: true,
-            name: true,
+    const [updatedProject] = await prisma.$transaction([
+      prisma.project.update({
+        where: { id: projectId },
+        data: updateData,
+        include: {
+          buyer: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+          seller: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
+          ...taxonomyInclude,
         },
-        seller: {
-          select: {
-            id: true,
-            name: true,
+      }),
+      ...(Object.keys(changes).length > 0 ? [
+        prisma.projectRevision.create({
+          data: {
+            projectId,
+            authorId: req.user.id,
+            changes,
+          },
+        }),
+      ] : []),
+      ...(changedTerms.length > 0 ? [
+        prisma.bid.updateMany({
+          where: { projectId, status: 'PENDING' },
+          data: { termsChanged: true },
+        }),
+      ] : []),
+    ]);
+    
+    // Let existing bidders know the terms they bid on have changed
+    if (changedTerms.length > 0) {
+      const bids = await prisma.bid.findMany({
+        where: { projectId, status: 'PENDING' },
+        select: {
+          seller: {
+            select: {
+              name: true,
+              email: true,
+            },
           },
         },
-      },
-    });
+      });
+      
+      for (const { seller } of bids) {
+        await sendEmail({
+          to: seller.email,
+          subject: `Project "${updatedProject.title}" has been updated`,
+          text: `Hi ${seller.name}, the buyer changed the ${changedTerms.join(', ')} of the project "${updatedProject.title}" after you placed your bid. You can revise or withdraw your bid.`,
+          html: `
+            <h2>Project Updated</h2>
+            <p>Hi ${seller.name},</p>
+            <p>The buyer changed the ${changedTerms.join(', ')} of the project "${updatedProject.title}" after you placed your bid.</p>
+            <p>Log in to your account to review the changes and revise or withdraw your bid.</p>
+          `,
+        });
+      }
+    }
     
     // Format response
     const formattedProject = {
@@ -357,6 +864,7 @@ const deleteProject = async (req, res, next) => {
       select: {
         id: true,
         buyerId: true,
+        organizationId: true,
         status: true,
       },
     });
@@ -367,18 +875,14 @@ const deleteProject = async (req, res, next) => {
       throw error;
     }
     
-    if (project.buyerId !== req.user.id) {
+    if (!(await hasProjectPermission(project, req.user.id, 'delete'))) {
       const error = new Error('You are not authorized to delete this project');
       error.statusCode = 403;
       throw error;
     }
     
-    // Only allow deletion if project is still pending
-    if (project.status !== 'PENDING') {
-      const error = new Error('Cannot delete a project that is already in progress or completed');
-      error.statusCode = 400;
-      throw error;
-    }
+    // Only allow deletion if project was never awarded
+    assertProjectAction(project, 'delete');
     
     // Delete project (this will cascade delete bids and files)
     await prisma.project.delete({
@@ -391,17 +895,20 @@ const deleteProject = async (req, res, next) => {
   }
 };
 
-// Get all bids for a project
-const getProjectBids = async (req, res, next) => {
+// Extend bidding on a project, or reopen bidding on an expired one
+const updateBiddingWindow = async (req, res, next) => {
   try {
     const projectId = req.params.id;
     
-    // Verify project exists
     const project = await prisma.project.findUnique({
       where: { id: projectId },
       select: {
         id: true,
-        buyerId: true,
+        status: true,
+        deadline: true,
+        biddingClosesAt: true,
+        biddingMode: true,
+        minBidDecrement: true,
       },
     });
     
@@ -411,8 +918,96 @@ const getProjectBids = async (req, res, next) => {
       throw error;
     }
     
-    // Only the project owner (buyer) or sellers who have placed bids can view bids
-    const isOwner = project.buyerId === req.user.id;
+    assertProjectAction(project, 'changeBidding');
+    
+    const { biddingClosesAt, deadline } = req.body;
+    
+    if (biddingClosesAt === undefined && !deadline) {
+      const error = new Error('biddingClosesAt or deadline is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const newDeadline = deadline ? new Date(deadline) : project.deadline;
+    
+    if (Number.isNaN(newDeadline.getTime()) || newDeadline <= new Date()) {
+      const error = new Error('Project deadline must be in the future');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // An explicit null keeps bidding open until the deadline; when omitted, a close date
+    // that is still ahead is kept and one that has passed is dropped
+    let closesAt = null;
+    if (biddingClosesAt) {
+      closesAt = parseBiddingClosesAt(biddingClosesAt, newDeadline);
+    } else if (biddingClosesAt === undefined && project.biddingClosesAt > new Date()) {
+      closesAt = project.biddingClosesAt <= newDeadline ? project.biddingClosesAt : null;
+    }
+    
+    // Reverse auctions always need a closing time
+    parseAuctionSettings({}, project, closesAt);
+    
+    const data = {
+      deadline: newDeadline,
+      biddingClosesAt: closesAt,
+    };
+    
+    // Expired projects go back to pending
+    const updatedProject = project.status === 'EXPIRED'
+      ? await changeProjectStatus(project, 'PENDING', {
+        actor: 'buyer',
+        userId: req.user.id,
+        reason: 'Bidding reopened',
+        data,
+        include: taxonomyInclude,
+      })
+      : await prisma.project.update({
+        where: { id: projectId },
+        data,
+        include: taxonomyInclude,
+      });
+    
+    // Format response
+    const formattedProject = {
+      ...updatedProject,
+      budget: {
+        min: updatedProject.budgetMin,
+        max: updatedProject.budgetMax,
+      },
+      budgetMin: undefined,
+      budgetMax: undefined,
+    };
+    
+    res.status(200).json(formattedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a project's bids, with filtering and sorting by amount, delivery time or seller rating
+const getProjectBids = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    // Verify project exists
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        buyerId: true,
+        organizationId: true,
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    // Only the project owner (buyer or organization member) or sellers who have placed bids can view bids
+    const isOwner = await hasProjectPermission(project, req.user.id, 'view');
     
     if (!isOwner && req.user.role !== 'SELLER') {
       const error = new Error('You are not authorized to view these bids');
@@ -436,22 +1031,110 @@ const getProjectBids = async (req, res, next) => {
       }
     }
     
-    // Get all bids for the project
+    const { status, minAmount, maxAmount, maxDeliveryTime, minRating, shortlisted, sort = 'createdAt_desc' } = req.query;
+    
+    const [sortField, sortDirection = 'asc'] = sort.split('_');
+    if (!SORTABLE_BID_FIELDS.includes(sortField) || !['asc', 'desc'].includes(sortDirection.toLowerCase())) {
+      const error = new Error(`Invalid sort. Use <field>_<asc|desc> with one of: ${SORTABLE_BID_FIELDS.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const direction = sortDirection.toLowerCase();
+    
+    // Create filter object
+    const filter = { projectId };
+    
+    if (status) {
+      filter.status = parseEnumParam(status, BID_STATUSES, 'status');
+    }
+    
+    if (minAmount || maxAmount) {
+      filter.amount = {};
+      if (minAmount) filter.amount.gte = parseNumberParam(minAmount, 'minAmount');
+      if (maxAmount) filter.amount.lte = parseNumberParam(maxAmount, 'maxAmount');
+    }
+    
+    if (maxDeliveryTime) {
+      filter.deliveryTime = { lte: parseIntegerParam(maxDeliveryTime, 'maxDeliveryTime') };
+    }
+    
+    // The shortlist is private to the buyer side
+    if (shortlisted !== undefined && isOwner) {
+      if (shortlisted === 'true') {
+        filter.evaluation = { is: { shortlisted: true } };
+      } else {
+        filter.OR = [{ evaluation: null }, { evaluation: { is: { shortlisted: false } } }];
+      }
+    }
+    
+    // Get the matching bids for the project. Ratings aren't stored on bids, so rating sorts happen below.
     const bids = await prisma.bid.findMany({
-      where: { projectId },
+      where: filter,
       include: {
+        ...(isOwner && {
+          evaluation: {
+            select: {
+              shortlisted: true,
+              note: true,
+              updatedAt: true,
+            },
+          },
+        }),
         seller: {
           select: {
             id: true,
             name: true,
             email: isOwner, // Only include email if the requester is the project owner
+            avatar: true,
+            createdAt: true,
+            _count: {
+              select: {
+                sellerProjects: { where: { status: 'COMPLETED' } },
+              },
+            },
           },
         },
       },
-      orderBy: { createdAt: 'desc' },
+      orderBy: sortField === 'rating'
+        ? { createdAt: 'desc' }
+        : [{ [sortField]: direction }, { createdAt: 'desc' }],
     });
     
-    res.status(200).json(bids);
+    const ratings = await getSellerRatings([...new Set(bids.map(bid => bid.sellerId))]);
+    
+    // Format seller track record and rating
+    let formattedBids = bids.map(bid => ({
+      ...bid,
+      ...(isOwner && {
+        evaluation: bid.evaluation || { shortlisted: false, note: null, updatedAt: null },
+      }),
+      // Withdrawal reasons are for the buyer
+      ...(!isOwner && { withdrawalReason: undefined }),
+      seller: {
+        ...withSellerRating(bid.seller, ratings),
+        completedProjects: bid.seller._count.sellerProjects,
+        _count: undefined,
+      },
+    }));
+    
+    if (minRating) {
+      const rating = parseNumberParam(minRating, 'minRating');
+      formattedBids = formattedBids.filter(bid => bid.seller.rating.average !== null && bid.seller.rating.average >= rating);
+    }
+    
+    // Unrated sellers go last either way
+    if (sortField === 'rating') {
+      formattedBids.sort((a, b) => {
+        const ratingA = a.seller.rating.average;
+        const ratingB = b.seller.rating.average;
+        if (ratingA === ratingB) return 0;
+        if (ratingA === null) return 1;
+        if (ratingB === null) return -1;
+        return direction === 'asc' ? ratingA - ratingB : ratingB - ratingA;
+      });
+    }
+    
+    res.status(200).json(formattedBids);
   } catch (error) {
     next(error);
   }
@@ -475,6 +1158,7 @@ const selectBid = async (req, res, next) => {
       select: {
         id: true,
         buyerId: true,
+        organizationId: true,
         status: true,
         title: true,
       },
@@ -486,18 +1170,14 @@ const selectBid = async (req, res, next) => {
       throw error;
     }
     
-    if (project.buyerId !== req.user.id) {
+    if (!(await hasProjectPermission(project, req.user.id, 'award'))) {
       const error = new Error('You are not authorized to select a bid for this project');
       error.statusCode = 403;
       throw error;
     }
     
-    // Only allow selection if project is still pending
-    if (project.status !== 'PENDING') {
-      const error = new Error('Cannot select a bid for a project that is already in progress or completed');
-      error.statusCode = 400;
-      throw error;
-    }
+    // Only allow selection while the project is taking bids
+    assertProjectAction(project, 'award');
     
     // Verify bid exists and belongs to this project
     const bid = await prisma.bid.findFirst({
@@ -517,13 +1197,17 @@ const selectBid = async (req, res, next) => {
       throw error;
     }
     
-    // Update project to mark as in progress and set seller
-    const updatedProject = await prisma.project.update({
-      where: { id: projectId },
-      data: {
-        status: 'IN_PROGRESS',
-        sellerId: sellerId,
-      },
+    if (bid.status !== 'PENDING') {
+      const error = new Error(`Cannot select a bid that has been ${bid.status.toLowerCase()}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Mark project as in progress with the selected seller, accept their bid and reject the rest
+    const updatedProject = await changeProjectStatus(project, 'IN_PROGRESS', {
+      actor: 'buyer',
+      userId: req.user.id,
+      data: { sellerId },
       include: {
         buyer: {
           select: {
@@ -540,21 +1224,7 @@ const selectBid = async (req, res, next) => {
           },
         },
       },
-    });
-    
-    // Update the selected bid status
-    await prisma.bid.update({
-      where: { id: bidId },
-      data: { status: 'ACCEPTED' },
-    });
-    
-    // Reject all other bids for this project
-    await prisma.bid.updateMany({
-      where: {
-        projectId,
-        id: { not: bidId },
-      },
-      data: { status: 'REJECTED' },
+      operations: awardBidOperations(projectId, bidId),
     });
     
     // Send email notification to the selected seller
@@ -600,6 +1270,9 @@ const completeProject = async (req, res, next) => {
       include: {
         buyer: true,
         seller: true,
+        milestones: {
+          select: { status: true },
+        },
       },
     });
     
@@ -609,23 +1282,26 @@ const completeProject = async (req, res, next) => {
       throw error;
     }
     
-    if (project.buyerId !== req.user.id) {
+    if (!(await hasProjectPermission(project, req.user.id, 'award'))) {
       const error = new Error('Only the project owner can mark it as completed');
       error.statusCode = 403;
       throw error;
     }
     
-    // Only allow completion if project is in progress
-    if (project.status !== 'IN_PROGRESS') {
-      const error = new Error('Only projects that are in progress can be marked as completed');
+    // Only in-progress projects can be completed
+    assertTransition(project.status, 'COMPLETED', 'buyer');
+    
+    // Projects paid in stages complete through their milestones
+    if (project.milestones.some(milestone => milestone.status !== 'APPROVED')) {
+      const error = new Error('All milestones must be approved before the project can be completed');
       error.statusCode = 400;
       throw error;
     }
     
     // Update project to mark as completed
-    const updatedProject = await prisma.project.update({
-      where: { id: projectId },
-      data: { status: 'COMPLETED' },
+    const updatedProject = await changeProjectStatus(project, 'COMPLETED', {
+      actor: 'buyer',
+      userId: req.user.id,
       include: {
         buyer: {
           select: {
@@ -675,6 +1351,456 @@ const completeProject = async (req, res, next) => {
   }
 };
 
+// Publish a draft so sellers can bid on it
+const publishProject = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        status: true,
+        deadline: true,
+        biddingClosesAt: true,
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const now = new Date();
+    if (project.deadline <= now || (project.biddingClosesAt && project.biddingClosesAt <= now)) {
+      const error = new Error('Update the deadline and bidding close date before publishing');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const updatedProject = await changeProjectStatus(project, 'PENDING', {
+      actor: 'buyer',
+      userId: req.user.id,
+      include: {
+        ...taxonomyInclude,
+        invitations: {
+          select: {
+            seller: {
+              select: {
+                name: true,
+                email: true,
+              },
+            },
+          },
+        },
+      },
+    });
+    
+    // Sellers invited while the project was a draft hear about it now
+    for (const { seller } of updatedProject.invitations) {
+      await sendEmail({
+        to: seller.email,
+        subject: `You're invited to bid on "${updatedProject.title}"`,
+        text: `Hi ${seller.name}, you've been invited to bid on the project "${updatedProject.title}", which is now open for bids.`,
+        html: `
+          <h2>Project Invitation</h2>
+          <p>Hi ${seller.name},</p>
+          <p>You've been invited to bid on the project "${updatedProject.title}", which is now open for bids.</p>
+          <p>Log in to your account to view the project and place your bid.</p>
+        `,
+      });
+    }
+    
+    // Format response
+    const formattedProject = {
+      ...updatedProject,
+      budget: {
+        min: updatedProject.budgetMin,
+        max: updatedProject.budgetMax,
+      },
+      budgetMin: undefined,
+      budgetMax: undefined,
+      invitations: undefined,
+    };
+    
+    res.status(200).json(formattedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cancel a project and let bidders and the selected seller know
+const cancelProject = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const { reason } = req.body;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        sellerId: true,
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    assertTransition(project.status, 'CANCELLED', 'buyer', reason);
+    
+    const sellers = await findAffectedSellers(project);
+    
+    const updatedProject = await changeProjectStatus(project, 'CANCELLED', {
+      actor: 'buyer',
+      userId: req.user.id,
+      reason,
+      operations: [
+        // Open bids can no longer win
+        prisma.bid.updateMany({
+          where: { projectId, status: 'PENDING' },
+          data: { status: 'REJECTED' },
+        }),
+      ],
+    });
+    
+    await sendCancellationEmails(project, sellers, reason);
+    
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Pause an in-progress project for a dispute (buyer side or selected seller)
+const disputeProject = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const { reason } = req.body;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      include: {
+        buyer: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+        seller: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    let actor = null;
+    if (project.sellerId === req.user.id) {
+      actor = 'seller';
+    } else if (await hasProjectPermission(project, req.user.id, 'award')) {
+      actor = 'buyer';
+    }
+    
+    if (!actor) {
+      const error = new Error('You are not authorized to dispute this project');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    const updatedProject = await changeProjectStatus(project, 'DISPUTED', {
+      actor,
+      userId: req.user.id,
+      reason,
+    });
+    
+    // Send email notification to the other party
+    const otherParty = actor === 'seller' ? project.buyer : project.seller;
+    if (otherParty && otherParty.email) {
+      await sendEmail({
+        to: otherParty.email,
+        subject: `A dispute was opened on "${project.title}"`,
+        text: `${req.user.name} opened a dispute on the project "${project.title}". Work is paused until an administrator resolves it. Reason: ${reason}`,
+        html: `
+          <h2>Dispute Opened</h2>
+          <p>${req.user.name} opened a dispute on the project "${project.title}".</p>
+          <p>Reason: ${reason}</p>
+          <p>Work is paused until an administrator resolves it.</p>
+        `,
+      });
+    }
+    
+    res.status(200).json(updatedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a project's edit history
+const getProjectRevisions = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        buyerId: true,
+        sellerId: true,
+        organizationId: true,
+        status: true,
+        visibility: true,
+      },
+    });
+    
+    if (!project || !(await canViewProject(project, req.user))) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const revisions = await prisma.projectRevision.findMany({
+      where: { projectId },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        author: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+    
+    res.status(200).json(revisions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a project's status history
+const getProjectStatusHistory = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        buyerId: true,
+        sellerId: true,
+        organizationId: true,
+      },
+    });
+    
+    if (!project) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    if (project.sellerId !== req.user.id && !(await hasProjectPermission(project, req.user.id, 'view'))) {
+      const error = new Error('You are not authorized to view this project\'s history');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    const history = await prisma.projectStatusChange.findMany({
+      where: { projectId },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        changedBy: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+    
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Post a new project copied from an existing one, with its tags, milestones and files
+const cloneProject = async (req, res, next) => {
+  try {
+    const source = await prisma.project.findUnique({
+      where: { id: req.params.id },
+      include: {
+        tags: {
+          select: { id: true },
+        },
+        milestones: {
+          orderBy: { position: 'asc' },
+        },
+        files: true,
+        seller: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            status: true,
+          },
+        },
+      },
+    });
+    
+    if (!source) {
+      const error = new Error('Project not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const { deadline, draft, inviteWinner } = req.body;
+    
+    // The copy stays with the source's organization unless another one (or null) is given
+    const organizationId = req.body.organizationId !== undefined ? req.body.organizationId : source.organizationId;
+    if (organizationId) {
+      await assertCanPostForOrganization(organizationId, req.user.id);
+    }
+    
+    // Without a deadline, the copy gets as long as the source had
+    const now = new Date();
+    const newDeadline = deadline
+      ? new Date(deadline)
+      : addDays(now, Math.max(daysBetween(source.createdAt, source.deadline), 1));
+    
+    if (isNaN(newDeadline) || newDeadline <= now) {
+      const error = new Error('Deadline must be in the future');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Bidding closes as long after posting as it did on the source, never past the new deadline
+    let closesAt = null;
+    if (req.body.biddingClosesAt) {
+      closesAt = parseBiddingClosesAt(req.body.biddingClosesAt, newDeadline);
+    } else if (source.biddingClosesAt > source.createdAt) {
+      closesAt = new Date(Math.min(now.getTime() + (source.biddingClosesAt - source.createdAt), newDeadline.getTime()));
+    }
+    
+    // Reverse auctions stay reverse auctions
+    parseAuctionSettings({}, source, closesAt);
+    
+    // Optionally invite the seller who won the source project
+    const winner = inviteWinner && source.seller && source.seller.status !== 'DELETED' ? source.seller : null;
+    
+    const files = await copyProjectFiles(source.files);
+    
+    let project;
+    try {
+      project = await prisma.project.create({
+        data: {
+          title: source.title,
+          description: source.description,
+          budgetMin: source.budgetMin,
+          budgetMax: source.budgetMax,
+          deadline: newDeadline,
+          status: draft ? 'DRAFT' : 'PENDING',
+          visibility: source.visibility,
+          biddingClosesAt: closesAt,
+          biddingMode: source.biddingMode,
+          minBidDecrement: source.minBidDecrement,
+          autoAward: source.autoAward,
+          buyer: {
+            connect: { id: req.user.id },
+          },
+          ...(organizationId && {
+            organization: {
+              connect: { id: organizationId },
+            },
+          }),
+          ...(source.categoryId && {
+            category: {
+              connect: { id: source.categoryId },
+            },
+          }),
+          tags: {
+            connect: source.tags,
+          },
+          milestones: {
+            create: fromMilestonePlan(toMilestonePlan(source.milestones, source.createdAt), now),
+          },
+          files: {
+            create: files,
+          },
+          ...(winner && {
+            invitations: {
+              create: {
+                seller: {
+                  connect: { id: winner.id },
+                },
+                invitedBy: {
+                  connect: { id: req.user.id },
+                },
+              },
+            },
+          }),
+        },
+        include: {
+          ...taxonomyInclude,
+          files: true,
+          milestones: {
+            orderBy: { position: 'asc' },
+          },
+        },
+      });
+    } catch (error) {
+      // Don't leave the copied files behind if the project couldn't be created
+      await removeProjectFiles(files);
+      throw error;
+    }
+    
+    // Drafts notify their invitees when they're published
+    if (winner && !draft) {
+      await sendEmail({
+        to: winner.email,
+        subject: `You're invited to bid on "${project.title}"`,
+        text: `Hi ${winner.name}, ${req.user.name} posted a new round of "${project.title}" and invited you to bid.`,
+        html: `
+          <h2>Project Invitation</h2>
+          <p>Hi ${winner.name},</p>
+          <p>${req.user.name} posted a new round of "${project.title}" and invited you to bid.</p>
+          <p>Log in to your account to view the project and place your bid.</p>
+        `,
+      });
+    }
+    
+    // Format response
+    const formattedProject = {
+      ...project,
+      budget: {
+        min: project.budgetMin,
+        max: project.budgetMax,
+      },
+      budgetMin: undefined,
+      budgetMax: undefined,
+      invitedSellerId: winner ? winner.id : null,
+    };
+    
+    res.status(201).json(formattedProject);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Upload files to a project
 const uploadProjectFiles = async (req, res, next) => {
   try {
@@ -686,6 +1812,7 @@ const uploadProjectFiles = async (req, res, next) => {
       select: {
         id: true,
         buyerId: true,
+        organizationId: true,
         sellerId: true,
         status: true,
       },
@@ -697,10 +1824,10 @@ const uploadProjectFiles = async (req, res, next) => {
       throw error;
     }
     
-    // Check if user is authorized (either buyer or assigned seller)
+    // Check if user is authorized (buyer side with upload permission, or assigned seller)
     const isAuthorized = 
-      req.user.id === project.buyerId || 
-      (project.sellerId && req.user.id === project.sellerId);
+      (project.sellerId && req.user.id === project.sellerId) ||
+      await hasProjectPermission(project, req.user.id, 'upload');
     
     if (!isAuthorized) {
       const error = new Error('You are not authorized to upload files to this project');
@@ -788,12 +1915,20 @@ const uploadProjectFiles = async (req, res, next) => {
 
 module.exports = {
   getAllProjects,
+  getMatchingProjects,
   getProjectById,
   createProject,
   updateProject,
   deleteProject,
+  updateBiddingWindow,
   getProjectBids,
   selectBid,
   completeProject,
+  publishProject,
+  cancelProject,
+  disputeProject,
+  getProjectStatusHistory,
+  getProjectRevisions,
+  cloneProject,
   uploadProjectFiles
 };
\ No newline at end of file
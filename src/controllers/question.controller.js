@@ -0,0 +1,255 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { hasProjectPermission, canViewProject } = require('../utils/projectAccess');
+const { assertProjectAction } = require('../utils/projectLifecycle');
+
+// Load a project the current user is allowed to see
+const findVisibleProject = async (projectId, user) => {
+  const project = await prisma.project.findUnique({
+    where: { id: projectId },
+    include: {
+      buyer: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+    },
+  });
+  
+  if (!project || !(await canViewProject(project, user))) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return project;
+};
+
+// Hide the author of anonymous questions from everyone but themselves
+const formatQuestion = (question, userId) => {
+  if (!question.anonymous || question.authorId === userId) {
+    return question;
+  }
+  
+  return {
+    ...question,
+    authorId: null,
+    author: null,
+  };
+};
+
+const questionInclude = {
+  author: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true,
+    },
+  },
+  answeredBy: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+// Get a project's questions. The buyer side sees every question, sellers answered ones and their own.
+const getProjectQuestions = async (req, res, next) => {
+  try {
+    const project = await findVisibleProject(req.params.id, req.user);
+    const isBuyerSide = await hasProjectPermission(project, req.user.id, 'view');
+    
+    const questions = await prisma.projectQuestion.findMany({
+      where: {
+        projectId: project.id,
+        ...(!isBuyerSide && {
+          OR: [
+            { answer: { not: null } },
+            { authorId: req.user.id },
+          ],
+        }),
+      },
+      orderBy: { createdAt: 'asc' },
+      include: questionInclude,
+    });
+    
+    res.status(200).json(questions.map(question => formatQuestion(question, req.user.id)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ask the buyer a question about a project (sellers only)
+const askQuestion = async (req, res, next) => {
+  try {
+    const { question, anonymous } = req.body;
+    
+    if (!question || !question.trim()) {
+      const error = new Error('Question is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const project = await findVisibleProject(req.params.id, req.user);
+    
+    if (await hasProjectPermission(project, req.user.id, 'view')) {
+      const error = new Error('You cannot ask questions on your own project');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    assertProjectAction(project, 'askQuestions');
+    
+    const createdQuestion = await prisma.projectQuestion.create({
+      data: {
+        question: question.trim(),
+        anonymous: anonymous === true || anonymous === 'true',
+        project: {
+          connect: { id: project.id },
+        },
+        author: {
+          connect: { id: req.user.id },
+        },
+      },
+      include: questionInclude,
+    });
+    
+    // Send email notification to the project owner
+    if (project.buyer && project.buyer.email) {
+      await sendEmail({
+        to: project.buyer.email,
+        subject: `New question on your project "${project.title}"`,
+        text: `A seller asked a question on your project "${project.title}": ${createdQuestion.question}`,
+        html: `
+          <h2>New Question</h2>
+          <p>A seller asked a question on your project "${project.title}":</p>
+          <blockquote>${createdQuestion.question}</blockquote>
+          <p>Log in to your account to answer it. Answers are visible to every seller who can see the project.</p>
+        `,
+      });
+    }
+    
+    res.status(201).json(createdQuestion);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Answer a question, or edit an answer (project owner or organization manager)
+const answerQuestion = async (req, res, next) => {
+  try {
+    const { id: projectId, questionId } = req.params;
+    const { answer } = req.body;
+    
+    if (!answer || !answer.trim()) {
+      const error = new Error('Answer is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const question = await prisma.projectQuestion.findFirst({
+      where: { id: questionId, projectId },
+      include: {
+        author: {
+          select: {
+            email: true,
+            name: true,
+          },
+        },
+        project: {
+          select: { title: true },
+        },
+      },
+    });
+    
+    if (!question) {
+      const error = new Error('Question not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const updatedQuestion = await prisma.projectQuestion.update({
+      where: { id: questionId },
+      data: {
+        answer: answer.trim(),
+        answeredAt: new Date(),
+        answeredBy: {
+          connect: { id: req.user.id },
+        },
+      },
+      include: questionInclude,
+    });
+    
+    // Let the asker know, the first time the question is answered
+    if (!question.answer && question.author.email) {
+      await sendEmail({
+        to: question.author.email,
+        subject: `Your question on "${question.project.title}" has been answered`,
+        text: `Hi ${question.author.name}, your question "${question.question}" on the project "${question.project.title}" has been answered: ${updatedQuestion.answer}`,
+        html: `
+          <h2>Question Answered</h2>
+          <p>Hi ${question.author.name},</p>
+          <p>Your question on the project "${question.project.title}" has been answered.</p>
+          <blockquote>${question.question}</blockquote>
+          <p>${updatedQuestion.answer}</p>
+        `,
+      });
+    }
+    
+    res.status(200).json(formatQuestion(updatedQuestion, req.user.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a question (its author while it's unanswered, or the buyer side)
+const deleteQuestion = async (req, res, next) => {
+  try {
+    const { id: projectId, questionId } = req.params;
+    
+    const question = await prisma.projectQuestion.findFirst({
+      where: { id: questionId, projectId },
+      include: {
+        project: {
+          select: {
+            buyerId: true,
+            organizationId: true,
+          },
+        },
+      },
+    });
+    
+    if (!question) {
+      const error = new Error('Question not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const isAuthor = question.authorId === req.user.id && !question.answer;
+    
+    if (!isAuthor && !(await hasProjectPermission(question.project, req.user.id, 'edit'))) {
+      const error = new Error('You are not authorized to delete this question');
+      error.statusCode = 403;
+      throw error;
+    }
+    
+    await prisma.projectQuestion.delete({
+      where: { id: questionId },
+    });
+    
+    res.status(200).json({ message: 'Question deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjectQuestions,
+  askQuestion,
+  answerQuestion,
+  deleteQuestion,
+};
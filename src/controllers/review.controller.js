@@ -0,0 +1,132 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+
+// Rate the selected seller of a completed project (buyer side, once per project)
+const createReview = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+    const { comment } = req.body;
+    const rating = Number(req.body.rating);
+    
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      const error = new Error('Rating must be a whole number from 1 to 5');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const project = await prisma.project.findUnique({
+      where: { id: projectId },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        seller: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+        review: {
+          select: { id: true },
+        },
+      },
+    });
+    
+    if (project.status !== 'COMPLETED' || !project.seller) {
+      const error = new Error('Only completed projects can be reviewed');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (project.review) {
+      const error = new Error('This project has already been reviewed');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const review = await prisma.review.create({
+      data: {
+        rating,
+        comment: comment || null,
+        project: {
+          connect: { id: projectId },
+        },
+        reviewer: {
+          connect: { id: req.user.id },
+        },
+        seller: {
+          connect: { id: project.seller.id },
+        },
+      },
+    });
+    
+    await sendEmail({
+      to: project.seller.email,
+      subject: `You received a review for "${project.title}"`,
+      text: `Hi ${project.seller.name}, the buyer rated your work on "${project.title}" ${rating} out of 5.`,
+      html: `
+        <h2>New Review</h2>
+        <p>Hi ${project.seller.name},</p>
+        <p>The buyer rated your work on "${project.title}" ${rating} out of 5.</p>
+        ${comment ? `<p>Comment: ${comment}</p>` : ''}
+      `,
+    });
+    
+    res.status(201).json(review);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the reviews a seller has received
+const getSellerReviews = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const where = { sellerId: req.params.id };
+    
+    const [reviews, total] = await Promise.all([
+      prisma.review.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: {
+          project: {
+            select: {
+              id: true,
+              title: true,
+            },
+          },
+          reviewer: {
+            select: {
+              id: true,
+              name: true,
+              avatar: true,
+            },
+          },
+        },
+      }),
+      prisma.review.count({ where }),
+    ]);
+    
+    res.status(200).json({
+      items: reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createReview,
+  getSellerReviews,
+};
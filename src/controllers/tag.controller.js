@@ -0,0 +1,44 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { slugify } = require('../utils/tags');
+
+// Get tags, most used first (optionally filtered by a search prefix)
+const getTags = async (req, res, next) => {
+  try {
+    const { search } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const tags = await prisma.tag.findMany({
+      where: search ? { slug: { startsWith: slugify(search) } } : {},
+      orderBy: [
+        { projects: { _count: 'desc' } },
+        { name: 'asc' },
+      ],
+      take: limit,
+      include: {
+        _count: {
+          select: {
+            projects: true,
+            users: true,
+          },
+        },
+      },
+    });
+    
+    // Format response
+    const formattedTags = tags.map(tag => ({
+      ...tag,
+      projectCount: tag._count.projects,
+      sellerCount: tag._count.users,
+      _count: undefined,
+    }));
+    
+    res.status(200).json(formattedTags);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags
+};
@@ -0,0 +1,328 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { hasProjectPermission, assertCanPostForOrganization, parseVisibility } = require('../utils/projectAccess');
+const { parseTagNames, connectOrCreateTags } = require('../utils/tags');
+const { daysBetween, addDays, toMilestonePlan, fromMilestonePlan } = require('../utils/projectCopy');
+
+// Category and tags included with templates
+const templateInclude = {
+  category: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+    },
+  },
+  tags: {
+    select: {
+      id: true,
+      name: true,
+      slug: true,
+    },
+  },
+};
+
+// Format a template's budget like a project's
+const formatTemplate = (template) => ({
+  ...template,
+  budget: {
+    min: template.budgetMin,
+    max: template.budgetMax,
+  },
+  budgetMin: undefined,
+  budgetMax: undefined,
+});
+
+// Load one of the current user's templates
+const findOwnTemplate = async (templateId, userId) => {
+  const template = await prisma.projectTemplate.findUnique({
+    where: { id: templateId },
+    include: templateInclude,
+  });
+  
+  if (!template || template.ownerId !== userId) {
+    const error = new Error('Template not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  return template;
+};
+
+// Validate a template's milestone plan
+const parseMilestonePlan = (milestones) => {
+  if (!Array.isArray(milestones)) {
+    const error = new Error('Milestones must be a list');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  return milestones.map(milestone => {
+    const amount = parseFloat(milestone.amount);
+    const dueInDays = parseInt(milestone.dueInDays);
+    
+    if (!milestone.title || !(amount > 0) || !(dueInDays >= 0)) {
+      const error = new Error('Each milestone needs a title, a positive amount and dueInDays');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    return {
+      title: milestone.title,
+      description: milestone.description || null,
+      amount,
+      dueInDays,
+    };
+  });
+};
+
+// Validate template fields from the request body
+const parseTemplateInput = async (body, { partial = false } = {}) => {
+  const { name, title, description, budget, durationDays, visibility, categoryId, tags, milestones } = body;
+  
+  if (!partial && (!name || !title || !description || !budget || !durationDays)) {
+    const error = new Error('Name, title, description, budget and duration are required');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const data = {};
+  
+  if (name) data.name = name;
+  if (title) data.title = title;
+  if (description) data.description = description;
+  if (budget) {
+    data.budgetMin = budget.min;
+    data.budgetMax = budget.max;
+  }
+  if (durationDays !== undefined) {
+    data.durationDays = parseInt(durationDays);
+    if (!(data.durationDays > 0)) {
+      const error = new Error('Duration must be a positive number of days');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (visibility) data.visibility = parseVisibility(visibility);
+  if (milestones !== undefined) data.milestones = parseMilestonePlan(milestones);
+  if (categoryId !== undefined) {
+    if (categoryId) {
+      const category = await prisma.category.findUnique({
+        where: { id: categoryId },
+        select: { id: true },
+      });
+      
+      if (!category) {
+        const error = new Error('Category not found');
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      data.category = { connect: { id: categoryId } };
+    } else if (partial) {
+      data.category = { disconnect: true };
+    }
+  }
+  if (tags !== undefined) {
+    data.tags = {
+      ...(partial && { set: [] }),
+      connectOrCreate: connectOrCreateTags(parseTagNames(tags)),
+    };
+  }
+  
+  return data;
+};
+
+// Get the current user's templates
+const getTemplates = async (req, res, next) => {
+  try {
+    const templates = await prisma.projectTemplate.findMany({
+      where: { ownerId: req.user.id },
+      orderBy: { name: 'asc' },
+      include: templateInclude,
+    });
+    
+    res.status(200).json(templates.map(formatTemplate));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a template
+const getTemplateById = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user.id);
+    
+    res.status(200).json(formatTemplate(template));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a template from the request body, or save an existing project as one with { projectId, name }
+const createTemplate = async (req, res, next) => {
+  try {
+    const { projectId } = req.body;
+    let data;
+    
+    if (projectId) {
+      const project = await prisma.project.findUnique({
+        where: { id: projectId },
+        include: {
+          tags: {
+            select: { id: true },
+          },
+          milestones: {
+            orderBy: { position: 'asc' },
+          },
+        },
+      });
+      
+      if (!project || !(await hasProjectPermission(project, req.user.id, 'view'))) {
+        const error = new Error('Project not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      
+      data = {
+        name: req.body.name || project.title,
+        title: project.title,
+        description: project.description,
+        budgetMin: project.budgetMin,
+        budgetMax: project.budgetMax,
+        durationDays: Math.max(daysBetween(project.createdAt, project.deadline), 1),
+        visibility: project.visibility,
+        milestones: toMilestonePlan(project.milestones, project.createdAt),
+        ...(project.categoryId && {
+          category: {
+            connect: { id: project.categoryId },
+          },
+        }),
+        tags: {
+          connect: project.tags,
+        },
+      };
+    } else {
+      data = await parseTemplateInput(req.body);
+    }
+    
+    const template = await prisma.projectTemplate.create({
+      data: {
+        ...data,
+        owner: {
+          connect: { id: req.user.id },
+        },
+      },
+      include: templateInclude,
+    });
+    
+    res.status(201).json(formatTemplate(template));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a template
+const updateTemplate = async (req, res, next) => {
+  try {
+    await findOwnTemplate(req.params.id, req.user.id);
+    
+    const data = await parseTemplateInput(req.body, { partial: true });
+    
+    const template = await prisma.projectTemplate.update({
+      where: { id: req.params.id },
+      data,
+      include: templateInclude,
+    });
+    
+    res.status(200).json(formatTemplate(template));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a template
+const deleteTemplate = async (req, res, next) => {
+  try {
+    await findOwnTemplate(req.params.id, req.user.id);
+    
+    await prisma.projectTemplate.delete({
+      where: { id: req.params.id },
+    });
+    
+    res.status(200).json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Post a new project from a template
+const createProjectFromTemplate = async (req, res, next) => {
+  try {
+    const template = await findOwnTemplate(req.params.id, req.user.id);
+    const { deadline, draft, organizationId } = req.body;
+    
+    if (organizationId) {
+      await assertCanPostForOrganization(organizationId, req.user.id);
+    }
+    
+    const now = new Date();
+    const projectDeadline = deadline ? new Date(deadline) : addDays(now, template.durationDays);
+    
+    if (isNaN(projectDeadline) || projectDeadline <= now) {
+      const error = new Error('Deadline must be in the future');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const project = await prisma.project.create({
+      data: {
+        title: template.title,
+        description: template.description,
+        budgetMin: template.budgetMin,
+        budgetMax: template.budgetMax,
+        deadline: projectDeadline,
+        status: draft ? 'DRAFT' : 'PENDING',
+        visibility: template.visibility,
+        buyer: {
+          connect: { id: req.user.id },
+        },
+        ...(organizationId && {
+          organization: {
+            connect: { id: organizationId },
+          },
+        }),
+        ...(template.category && {
+          category: {
+            connect: { id: template.category.id },
+          },
+        }),
+        tags: {
+          connect: template.tags.map(tag => ({ id: tag.id })),
+        },
+        milestones: {
+          create: fromMilestonePlan(template.milestones, now),
+        },
+      },
+      include: {
+        ...templateInclude,
+        milestones: {
+          orderBy: { position: 'asc' },
+        },
+      },
+    });
+    
+    res.status(201).json(formatTemplate(project));
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createProjectFromTemplate,
+};
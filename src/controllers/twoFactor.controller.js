@@ -0,0 +1,189 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactorService');
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  sendLockoutEmail
+} = require('../utils/loginThrottle');
+
+// Load the current user's 2FA fields
+const getTwoFactorUser = (userId) => prisma.user.findUnique({
+  where: { id: userId },
+  select: {
+    id: true,
+    email: true,
+    twoFactorEnabled: true,
+    twoFactorSecret: true,
+    twoFactorLastStep: true,
+  },
+});
+
+// Check a code for a signed-in user under the login throttle, so codes can't be guessed from a session either
+const assertSecondFactor = async (user, factor) => {
+  await assertLoginAllowed('user', user.id);
+  
+  if (!(await verifySecondFactor(user, factor))) {
+    if (await recordLoginFailure('user', user.id)) {
+      await sendLockoutEmail(user);
+    }
+    
+    const error = new Error('Invalid two-factor code');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  await resetLoginFailures('user', user.id);
+};
+
+// Start 2FA enrollment by generating a new secret
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await getTwoFactorUser(req.user.id);
+    
+    if (user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const secret = generateTotpSecret();
+    
+    // Stored but not active until confirmed with a code
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: secret,
+        twoFactorLastStep: null,
+      },
+    });
+    
+    res.status(200).json({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Confirm enrollment with a code from the authenticator app
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      const error = new Error('Code is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await getTwoFactorUser(req.user.id);
+    
+    if (user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is already enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (!user.twoFactorSecret) {
+      const error = new Error('Start two-factor setup first');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) {
+      const error = new Error('Invalid two-factor code');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorLastStep: step,
+      },
+    });
+    
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turn 2FA off (requires a valid code or recovery code)
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    
+    const user = await getTwoFactorUser(req.user.id);
+    
+    if (!user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await assertSecondFactor(user, { code, recoveryCode });
+    
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+        },
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+    ]);
+    
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace recovery codes (requires a valid code)
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await getTwoFactorUser(req.user.id);
+    
+    if (!user.twoFactorEnabled) {
+      const error = new Error('Two-factor authentication is not enabled');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    await assertSecondFactor(user, { code });
+    
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,746 @@
+const bcrypt = require('bcryptjs');
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { revokeAllSessions } = require('../utils/sessionService');
+const { sendVerificationEmail } = require('../utils/verificationService');
+const { API_KEY_SCOPES, generateApiKey } = require('../utils/apiKeyService');
+const { verifySecondFactor } = require('../utils/twoFactorService');
+const { parseTagNames, connectOrCreateTags } = require('../utils/tags');
+const { getSellerRatings, withSellerRating } = require('../utils/sellerRatings');
+
+// API key fields safe to return (never the hash)
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+// Rough shape of an email address; the verification email confirms it for real
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Delete a file stored under /uploads (e.g. a replaced avatar)
+const removeUploadedFile = (url) => {
+  if (url && url.startsWith('/uploads/')) {
+    const uploadDir = process.env.UPLOAD_DIR || 'uploads';
+    fs.unlink(path.join(uploadDir, path.basename(url)), () => {});
+  }
+};
+
+// Update current user's profile
+const updateProfile = async (req, res, next) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+    
+    if (!name && !email) {
+      const error = new Error('Nothing to update');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    // Build update data
+    const updateData = {};
+    
+    if (name) updateData.name = name;
+    
+    const emailChanged = email && email !== req.user.email;
+    
+    if (emailChanged) {
+      if (!EMAIL_PATTERN.test(email)) {
+        const error = new Error('Invalid email address');
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      // Changing the email controls where password resets go, so it takes the current password
+      if (!currentPassword) {
+        const error = new Error('Current password is required to change the email');
+        error.statusCode = 400;
+        throw error;
+      }
+      
+      const currentUser = await prisma.user.findUnique({
+        where: { id: req.user.id }
+      });
+      
+      const isPasswordValid = await bcrypt.compare(currentPassword, currentUser.password);
+      if (!isPasswordValid) {
+        const error = new Error('Current password is incorrect');
+        error.statusCode = 401;
+        throw error;
+      }
+      
+      // Check if email is already taken
+      const existingUser = await prisma.user.findUnique({
+        where: { email }
+      });
+      
+      if (existingUser) {
+        const error = new Error('User with this email already exists');
+        error.statusCode = 409;
+        throw error;
+      }
+      
+      // A new address has to be verified again
+      updateData.email = email;
+      updateData.emailVerified = false;
+    }
+    
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: updateData,
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        roles: true,
+        avatar: true,
+        emailVerified: true,
+        createdAt: true,
+      },
+    });
+    
+    if (emailChanged) {
+      await sendVerificationEmail(user);
+      
+      // Let the old address know, in case it wasn't the account owner
+      await sendEmail({
+        to: req.user.email,
+        subject: 'Your email address was changed',
+        text: `Hi ${user.name}, the email address of your account was changed to ${user.email}. If you didn't do this, contact support right away.`,
+        html: `
+          <h2>Email Address Changed</h2>
+          <p>Hi ${user.name},</p>
+          <p>The email address of your account was changed to ${user.email}.</p>
+          <p>If you didn't do this, contact support right away.</p>
+        `,
+      });
+    }
+    
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change current user's password
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      const error = new Error('Current password and new password are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+    
+    // Check current password
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      const error = new Error('Current password is incorrect');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { password: hashedPassword },
+    });
+    
+    // Sign out other devices, keep the current session
+    await revokeAllSessions(req.user.id, req.sessionId);
+    
+    res.status(200).json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upload current user's avatar
+const uploadAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      const error = new Error('No file uploaded');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const previousAvatar = req.user.avatar;
+    
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { avatar: `/uploads/${req.file.filename}` },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        avatar: true,
+      },
+    });
+    
+    // Remove the old avatar from disk
+    removeUploadedFile(previousAvatar);
+    
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a seller's public profile
+const getSellerProfile = async (req, res, next) => {
+  try {
+    const userId = req.params.id;
+    
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        name: true,
+        roles: true,
+        avatar: true,
+        createdAt: true,
+        skills: {
+          select: {
+            id: true,
+            name: true,
+            slug: true,
+          },
+        },
+        _count: {
+          select: {
+            sellerProjects: { where: { status: 'COMPLETED' } },
+            bids: true,
+          },
+        },
+      },
+    });
+    
+    if (!user || !user.roles.includes('SELLER')) {
+      const error = new Error('Seller not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    const ratings = await getSellerRatings([user.id]);
+    
+    // Format response
+    const profile = {
+      ...withSellerRating(user, ratings),
+      roles: undefined,
+      stats: {
+        completedProjects: user._count.sellerProjects,
+        totalBids: user._count.bids,
+      },
+      _count: undefined,
+    };
+    
+    res.status(200).json(profile);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace the current user's skills
+const updateSkills = async (req, res, next) => {
+  try {
+    const { skills } = req.body;
+    
+    if (skills === undefined) {
+      const error = new Error('Skills are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        skills: {
+          set: [],
+          connectOrCreate: connectOrCreateTags(parseTagNames(skills)),
+        },
+      },
+      select: {
+        id: true,
+        skills: {
+          select: {
+            id: true,
+            name: true,
+            slug: true,
+          },
+        },
+      },
+    });
+    
+    res.status(200).json(user.skills);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add the buyer or seller capability to the current account
+const addRole = async (req, res, next) => {
+  try {
+    const role = (req.body.role || '').toUpperCase();
+    
+    if (!['BUYER', 'SELLER'].includes(role)) {
+      const error = new Error('Role must be either BUYER or SELLER');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    if (req.user.roles.includes(role)) {
+      const error = new Error(`Your account already has the ${role} role`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { roles: { push: role } },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        roles: true,
+      },
+    });
+    
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Switch the role the current account is acting as
+const switchActiveRole = async (req, res, next) => {
+  try {
+    const role = (req.body.role || '').toUpperCase();
+    
+    if (!req.user.roles.includes(role)) {
+      const error = new Error('You can only switch to a role your account has');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { role },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        roles: true,
+      },
+    });
+    
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List current user's API keys
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { userId: req.user.id },
+      select: apiKeySelect,
+      orderBy: { createdAt: 'desc' },
+    });
+    
+    res.status(200).json(apiKeys);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an API key (the key itself is only returned here)
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      const error = new Error('Name and at least one scope are required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      const error = new Error(`Invalid scopes: ${invalidScopes.join(', ')}. Allowed scopes: ${API_KEY_SCOPES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const expiryDate = expiresAt ? new Date(expiresAt) : null;
+    if (expiryDate && (isNaN(expiryDate) || expiryDate <= new Date())) {
+      const error = new Error('Expiry date must be in the future');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const { key, prefix, keyHash } = generateApiKey();
+    
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        name,
+        prefix,
+        keyHash,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiryDate,
+        user: {
+          connect: { id: req.user.id },
+        },
+      },
+      select: apiKeySelect,
+    });
+    
+    res.status(201).json({
+      ...apiKey,
+      key,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke one of the current user's API keys
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const result = await prisma.apiKey.updateMany({
+      where: {
+        id: req.params.keyId,
+        userId: req.user.id,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+    
+    if (result.count === 0) {
+      const error = new Error('API key not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    
+    res.status(200).json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export all of the current user's data as JSON
+const exportData = async (req, res, next) => {
+  try {
+    const formatFile = file => ({
+      id: file.id,
+      name: file.name,
+      url: `/uploads/${file.path.split('/').pop()}`,
+      size: file.size,
+      mimeType: file.mimeType,
+      createdAt: file.createdAt,
+    });
+    
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        roles: true,
+        avatar: true,
+        emailVerified: true,
+        twoFactorEnabled: true,
+        createdAt: true,
+        updatedAt: true,
+        skills: {
+          select: { name: true },
+        },
+        buyerProjects: {
+          include: {
+            files: true,
+            _count: { select: { bids: true } },
+          },
+        },
+        sellerProjects: {
+          select: {
+            id: true,
+            title: true,
+            status: true,
+            createdAt: true,
+          },
+        },
+        bids: {
+          include: {
+            project: {
+              select: {
+                id: true,
+                title: true,
+              },
+            },
+          },
+        },
+        memberships: {
+          include: {
+            organization: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+          },
+        },
+        sessions: {
+          select: {
+            id: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastUsedAt: true,
+            revokedAt: true,
+          },
+        },
+        apiKeys: { select: apiKeySelect },
+      },
+    });
+    
+    const { buyerProjects, sellerProjects, bids, memberships, sessions, apiKeys, ...profile } = user;
+    
+    const data = {
+      exportedAt: new Date(),
+      profile,
+      projects: buyerProjects.map(project => ({
+        ...project,
+        files: project.files.map(formatFile),
+        bidCount: project._count.bids,
+        _count: undefined,
+      })),
+      assignedProjects: sellerProjects,
+      bids,
+      organizations: memberships.map(membership => ({
+        ...membership.organization,
+        role: membership.role,
+        joinedAt: membership.createdAt,
+      })),
+      sessions,
+      apiKeys,
+    };
+    
+    res.set('Content-Disposition', `attachment; filename="probid-export-${user.id}.json"`);
+    res.status(200).json(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete the current user's account.
+// The user row is anonymized rather than removed so projects and bids other
+// people took part in keep their history.
+const deleteAccount = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const userId = req.user.id;
+    
+    if (!password) {
+      const error = new Error('Password is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+    
+    // Check password
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      const error = new Error('Password is incorrect');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    if (user.twoFactorEnabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      const error = new Error('A valid two-factor code is required');
+      error.statusCode = 401;
+      throw error;
+    }
+    
+    // Running engagements have to be finished first
+    const activeProjects = await prisma.project.count({
+      where: {
+        status: { in: ['IN_PROGRESS', 'DISPUTED'] },
+        OR: [{ buyerId: userId }, { sellerId: userId }],
+      },
+    });
+    
+    if (activeProjects > 0) {
+      const error = new Error('You have projects in progress. Complete them before deleting your account');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    // Don't leave organizations without an owner
+    const ownedMemberships = await prisma.organizationMember.findMany({
+      where: { userId, role: 'OWNER' },
+      include: {
+        organization: {
+          include: {
+            members: { select: { userId: true, role: true } },
+          },
+        },
+      },
+    });
+    
+    const orphanedOrganizations = [];
+    for (const { organization } of ownedMemberships) {
+      const otherMembers = organization.members.filter(member => member.userId !== userId);
+      
+      if (otherMembers.length === 0) {
+        orphanedOrganizations.push(organization.id);
+      } else if (!otherMembers.some(member => member.role === 'OWNER')) {
+        const error = new Error(`Make someone else an owner of "${organization.name}" before deleting your account`);
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+    
+    // Open bids are withdrawn below, so their projects' bid counts go down
+    const pendingBids = await prisma.bid.findMany({
+      where: { sellerId: userId, status: 'PENDING' },
+      select: { projectId: true },
+    });
+    
+    // Projects posted for an organization stay with its remaining members; those of organizations going away with
+    // this account are handled like the user's own
+    const ownProjects = {
+      buyerId: userId,
+      OR: [{ organizationId: null }, { organizationId: { in: orphanedOrganizations } }],
+    };
+    
+    // Drafts and open projects without bids go away, along with their files
+    const projectsToDelete = await prisma.project.findMany({
+      where: { ...ownProjects, status: { in: ['DRAFT', 'PENDING', 'EXPIRED'] }, bids: { none: {} } },
+      select: {
+        id: true,
+        files: { select: { path: true } },
+      },
+    });
+    
+    // Unawarded projects with bids are closed so bidders keep their records, with the change recorded in their history
+    const projectsToClose = await prisma.project.findMany({
+      where: { ...ownProjects, status: { in: ['PENDING', 'EXPIRED'] }, bids: { some: {} } },
+      select: { id: true, status: true },
+    });
+    
+    await prisma.$transaction([
+      prisma.project.deleteMany({
+        where: { id: { in: projectsToDelete.map(project => project.id) } },
+      }),
+      prisma.bid.updateMany({
+        where: { status: 'PENDING', projectId: { in: projectsToClose.map(project => project.id) } },
+        data: { status: 'REJECTED' },
+      }),
+      prisma.project.updateMany({
+        where: { id: { in: projectsToClose.map(project => project.id) } },
+        data: { status: 'CLOSED' },
+      }),
+      prisma.projectStatusChange.createMany({
+        data: projectsToClose.map(project => ({
+          projectId: project.id,
+          fromStatus: project.status,
+          toStatus: 'CLOSED',
+          reason: 'Buyer deleted their account',
+        })),
+      }),
+      // Open bids are withdrawn, decided bids stay on the buyer's project
+      prisma.bid.updateMany({
+        where: { sellerId: userId, status: 'PENDING' },
+        data: {
+          status: 'WITHDRAWN',
+          withdrawnAt: new Date(),
+          withdrawalReason: 'Seller deleted their account',
+        },
+      }),
+      ...pendingBids.map(bid => prisma.project.update({
+        where: { id: bid.projectId },
+        data: { bidCount: { decrement: 1 } },
+      })),
+      prisma.organization.deleteMany({
+        where: { id: { in: orphanedOrganizations } },
+      }),
+      prisma.organizationMember.deleteMany({ where: { userId } }),
+      prisma.organizationInvitation.deleteMany({ where: { userId } }),
+      prisma.projectInvitation.deleteMany({ where: { sellerId: userId } }),
+      prisma.projectTemplate.deleteMany({ where: { ownerId: userId } }),
+      prisma.session.deleteMany({ where: { userId } }),
+      prisma.userToken.deleteMany({ where: { userId } }),
+      prisma.apiKey.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.loginThrottle.deleteMany({ where: { key: `user:${userId}` } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          name: 'Deleted user',
+          email: `deleted-${userId}@deleted.invalid`,
+          password: '', // no bcrypt hash matches an empty string, so nobody can log in
+          avatar: null,
+          roles: [],
+          emailVerified: false,
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null,
+          status: 'DELETED',
+          statusReason: null,
+          suspendedUntil: null,
+          deletedAt: new Date(),
+        },
+      }),
+    ]);
+    
+    removeUploadedFile(user.avatar);
+    for (const project of projectsToDelete) {
+      for (const file of project.files) {
+        fs.unlink(file.path, () => {});
+      }
+    }
+    
+    res.status(200).json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  updateProfile,
+  changePassword,
+  uploadAvatar,
+  getSellerProfile,
+  updateSkills,
+  addRole,
+  switchActiveRole,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  exportData,
+  deleteAccount
+};
@@ -3,28 +3,26 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const { rateLimit } = require('express-rate-limit');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
+const { apiLimiter } = require('./middleware/rateLimit');
+const { startScheduler } = require('./jobs/scheduler');
 require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const projectRoutes = require('./routes/project.routes');
 const bidRoutes = require('./routes/bid.routes');
-// const userRoutes = require('./routes/user.routes');
+const userRoutes = require('./routes/user.routes');
+const adminRoutes = require('./routes/admin.routes');
+const organizationRoutes = require('./routes/organization.routes');
+const categoryRoutes = require('./routes/category.routes');
+const tagRoutes = require('./routes/tag.routes');
+const templateRoutes = require('./routes/template.routes');
 
 // Create Express app
 const app = express();
 
-// Set up rate limiter
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
 // Middleware
 app.use(cors());
 app.use(helmet());
@@ -32,7 +30,7 @@ app.use(morgan('dev'));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(compression());
-app.use(limiter);
+app.use(apiLimiter);
 
 // Set up static file serving for uploads
 app.use('/uploads', express.static('uploads'));
@@ -41,7 +39,12 @@ app.use('/uploads', express.static('uploads'));
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/bids', bidRoutes);
-// app.use('/api/users', userRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -51,6 +54,11 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  
+  // Background jobs (project expiry); set DISABLE_SCHEDULER when running several instances
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startScheduler();
+  }
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,102 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { changeProjectStatus, awardBidOperations } = require('../utils/projectLifecycle');
+
+/**
+ * Award the lowest bid on reverse auctions that closed with auto-award switched on.
+ * Ties go to the earliest bid; bids past their validity period are passed over.
+ * @returns {Number} Number of projects awarded
+ */
+const awardClosedAuctions = async () => {
+  const now = new Date();
+  
+  const closedAuctions = await prisma.project.findMany({
+    where: {
+      status: 'PENDING',
+      biddingMode: 'REVERSE_AUCTION',
+      autoAward: true,
+      biddingClosesAt: { lte: now },
+      bidCount: { gt: 0 },
+    },
+    select: {
+      id: true,
+      title: true,
+      status: true,
+      buyer: {
+        select: {
+          email: true,
+          name: true,
+        },
+      },
+    },
+  });
+  
+  let awarded = 0;
+  
+  for (const project of closedAuctions) {
+    const bid = await prisma.bid.findFirst({
+      where: {
+        projectId: project.id,
+        status: 'PENDING',
+        // Bids past their validity period don't stand, even before the expiry job marks them
+        OR: [{ validUntil: null }, { validUntil: { gt: now } }],
+      },
+      orderBy: [{ amount: 'asc' }, { createdAt: 'asc' }],
+      include: {
+        seller: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+      },
+    });
+    
+    if (!bid) continue;
+    
+    try {
+      await changeProjectStatus(project, 'IN_PROGRESS', {
+        actor: 'system',
+        reason: 'Lowest bid awarded when the auction closed',
+        data: { sellerId: bid.sellerId },
+        operations: awardBidOperations(project.id, bid.id),
+      });
+    } catch (error) {
+      // Skip projects the buyer awarded or cancelled since they were loaded
+      if (error.statusCode === 409) continue;
+      throw error;
+    }
+    
+    awarded += 1;
+    
+    await sendEmail({
+      to: bid.seller.email,
+      subject: `Your bid for "${project.title}" has been accepted!`,
+      text: `Congratulations! Your bid of $${bid.amount} was the lowest when the auction for "${project.title}" closed. You can now start working on the project.`,
+      html: `
+        <h2>Congratulations!</h2>
+        <p>Your bid of $${bid.amount} was the lowest when the auction for "${project.title}" closed.</p>
+        <p>You can now start working on the project.</p>
+      `,
+    });
+    
+    if (project.buyer && project.buyer.email) {
+      await sendEmail({
+        to: project.buyer.email,
+        subject: `Your auction "${project.title}" has been awarded`,
+        text: `Your auction "${project.title}" closed and the lowest bid of $${bid.amount} from ${bid.seller.name} was awarded automatically.`,
+        html: `
+          <h2>Auction Awarded</h2>
+          <p>Hi ${project.buyer.name},</p>
+          <p>Your auction "${project.title}" closed and the lowest bid of $${bid.amount} from ${bid.seller.name} was awarded automatically.</p>
+        `,
+      });
+    }
+  }
+  
+  return awarded;
+};
+
+module.exports = { awardClosedAuctions };
@@ -0,0 +1,76 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+
+/**
+ * Move pending bids whose validity period has run out to EXPIRED and let their sellers know
+ * @returns {Number} Number of bids expired
+ */
+const expireStaleBids = async () => {
+  const now = new Date();
+  
+  const staleBids = await prisma.bid.findMany({
+    where: {
+      status: 'PENDING',
+      validUntil: { lte: now },
+    },
+    select: {
+      id: true,
+      projectId: true,
+      seller: {
+        select: {
+          name: true,
+          email: true,
+        },
+      },
+      project: {
+        select: {
+          title: true,
+        },
+      },
+    },
+  });
+  
+  let expired = 0;
+  
+  for (const bid of staleBids) {
+    try {
+      await prisma.$transaction([
+        // Only applies if the bid wasn't selected or withdrawn since it was loaded
+        prisma.bid.update({
+          where: { id: bid.id, status: 'PENDING' },
+          data: { status: 'EXPIRED' },
+        }),
+        prisma.bidOffer.updateMany({
+          where: { bidId: bid.id, status: 'PENDING' },
+          data: { status: 'SUPERSEDED' },
+        }),
+        prisma.project.update({
+          where: { id: bid.projectId },
+          data: { bidCount: { decrement: 1 } },
+        }),
+      ]);
+    } catch (error) {
+      if (error.code === 'P2025') continue;
+      throw error;
+    }
+    
+    expired += 1;
+    
+    await sendEmail({
+      to: bid.seller.email,
+      subject: `Your bid on "${bid.project.title}" has expired`,
+      text: `Hi ${bid.seller.name}, your bid on "${bid.project.title}" reached the end of its validity period without being selected. You can place a new bid while the project is open.`,
+      html: `
+        <h2>Bid Expired</h2>
+        <p>Hi ${bid.seller.name},</p>
+        <p>Your bid on "${bid.project.title}" reached the end of its validity period without being selected.</p>
+        <p>You can place a new bid while the project is open.</p>
+      `,
+    });
+  }
+  
+  return expired;
+};
+
+module.exports = { expireStaleBids };
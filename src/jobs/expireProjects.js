@@ -0,0 +1,70 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('../utils/emailService');
+const { changeProjectStatus } = require('../utils/projectLifecycle');
+
+/**
+ * Move unassigned projects that can no longer be awarded to EXPIRED and notify their buyers.
+ * A project is overdue once its deadline has passed, or once bidding has closed without a single bid.
+ * @returns {Number} Number of projects expired
+ */
+const expireOverdueProjects = async () => {
+  const now = new Date();
+  
+  const overdueProjects = await prisma.project.findMany({
+    where: {
+      status: 'PENDING',
+      OR: [
+        { deadline: { lte: now } },
+        { biddingClosesAt: { lte: now }, bidCount: 0 },
+      ],
+    },
+    select: {
+      id: true,
+      title: true,
+      status: true,
+      deadline: true,
+      buyer: {
+        select: {
+          email: true,
+          name: true,
+        },
+      },
+    },
+  });
+  
+  let expired = 0;
+  
+  for (const project of overdueProjects) {
+    try {
+      await changeProjectStatus(project, 'EXPIRED', {
+        actor: 'system',
+        reason: project.deadline <= now ? 'Deadline passed' : 'Bidding closed without bids',
+      });
+    } catch (error) {
+      // Skip projects a bid was selected on since they were loaded
+      if (error.statusCode === 409) continue;
+      throw error;
+    }
+    
+    expired += 1;
+    
+    if (project.buyer && project.buyer.email) {
+      await sendEmail({
+        to: project.buyer.email,
+        subject: `Your project "${project.title}" has expired`,
+        text: `Your project "${project.title}" expired without a bid being selected. You can reopen bidding from your dashboard.`,
+        html: `
+          <h2>Project Expired</h2>
+          <p>Hi ${project.buyer.name},</p>
+          <p>Your project "${project.title}" expired without a bid being selected.</p>
+          <p>Log in to your account to reopen bidding with a new deadline.</p>
+        `,
+      });
+    }
+  }
+  
+  return expired;
+};
+
+module.exports = { expireOverdueProjects };
@@ -0,0 +1,68 @@
+const { expireOverdueProjects } = require('./expireProjects');
+const { awardClosedAuctions } = require('./awardAuctions');
+const { expireStaleBids } = require('./expireBids');
+
+/**
+ * Run a job on an interval, skipping ticks while a previous run is still going
+ * @param {String} name - Job name for logs
+ * @param {Function} job - Async job
+ * @param {Number} intervalMs - Interval between runs
+ * @returns {Object} Interval timer
+ */
+const schedule = (name, job, intervalMs) => {
+  let running = false;
+  
+  const run = async () => {
+    if (running) return;
+    running = true;
+    
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  run();
+  
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for background jobs
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Start background jobs
+ * @returns {Function} Stops all scheduled jobs
+ */
+const startScheduler = () => {
+  const expiryIntervalMs = parseInt(process.env.PROJECT_EXPIRY_INTERVAL_MINUTES || '15') * 60 * 1000;
+  const auctionIntervalMs = parseInt(process.env.AUCTION_AWARD_INTERVAL_MINUTES || '1') * 60 * 1000;
+  
+  const timers = [
+    schedule('expireOverdueProjects', async () => {
+      const expired = await expireOverdueProjects();
+      if (expired > 0) {
+        console.log(`Expired ${expired} overdue project(s)`);
+      }
+    }, expiryIntervalMs),
+    schedule('awardClosedAuctions', async () => {
+      const awarded = await awardClosedAuctions();
+      if (awarded > 0) {
+        console.log(`Awarded ${awarded} closed auction(s)`);
+      }
+    }, auctionIntervalMs),
+    schedule('expireStaleBids', async () => {
+      const expired = await expireStaleBids();
+      if (expired > 0) {
+        console.log(`Expired ${expired} stale bid(s)`);
+      }
+    }, expiryIntervalMs),
+  ];
+  
+  return () => timers.forEach(timer => clearInterval(timer));
+};
+
+module.exports = { startScheduler };
@@ -1,35 +1,83 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { assertAccountActive } = require('../utils/sessionService');
+const { hasProjectPermission } = require('../utils/projectAccess');
+const { verifyApiKey } = require('../utils/apiKeyService');
+
+// Verify a Bearer JWT and its session, returning the ids it belongs to
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Check the session is still active
+  const session = decoded.sessionId
+    ? await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
+      select: {
+        id: true,
+        userId: true,
+        expiresAt: true,
+        revokedAt: true,
+      }
+    })
+    : null;
+  
+  if (
+    !session ||
+    session.revokedAt ||
+    session.expiresAt < new Date() ||
+    session.userId !== decoded.userId
+  ) {
+    const error = new Error('Session has been revoked');
+    error.statusCode = 401;
+    throw error;
+  }
+  
+  return { userId: decoded.userId, sessionId: session.id };
+};
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Accepts either a Bearer JWT (whose session must not be revoked) or an API key
+ * ("Authorization: ApiKey <key>" or "X-API-Key: <key>") and attaches user to request
  */
 const authenticate = async (req, res, next) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    // Get credentials from headers
+    const authHeader = req.headers.authorization || '';
+    const rawApiKey = authHeader.startsWith('ApiKey ')
+      ? authHeader.split(' ')[1]
+      : req.headers['x-api-key'];
+    
+    let userId;
+    
+    if (authHeader.startsWith('Bearer ')) {
+      const access = await verifyAccessToken(authHeader.split(' ')[1]);
+      userId = access.userId;
+      req.sessionId = access.sessionId;
+    } else if (rawApiKey) {
+      const apiKey = await verifyApiKey(rawApiKey);
+      userId = apiKey.userId;
+      req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+    } else {
       const error = new Error('Authorization token required');
       error.statusCode = 401;
       throw error;
     }
     
-    const token = authHeader.split(' ')[1];
-    
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Check if user exists
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+      where: { id: userId },
       select: {
         id: true,
         email: true,
         name: true,
         role: true,
-        avatar: true
+        roles: true,
+        avatar: true,
+        emailVerified: true,
+        status: true,
+        suspendedUntil: true
       }
     });
     
@@ -39,6 +87,9 @@ const authenticate = async (req, res, next) => {
       throw error;
     }
     
+    // Reject suspended and banned accounts
+    assertAccountActive(user);
+    
     // Attach user to request
     req.user = user;
     next();
@@ -56,10 +107,40 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is a buyer
+ * Middleware to restrict a route to interactive (JWT) sessions, so API keys
+ * can't be used to manage the account itself
+ */
+const requireSession = (req, res, next) => {
+  if (!req.sessionId) {
+    const error = new Error('This action requires a logged-in session');
+    error.statusCode = 403;
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Middleware factory to check an API key's scopes for a resource.
+ * GET requests need "<resource>:read", everything else "<resource>:write".
+ * Session (JWT) requests are not scope-limited.
+ * @param {String} resource - e.g. projects or bids
+ */
+const requireScope = (resource) => (req, res, next) => {
+  const scope = `${resource}:${req.method === 'GET' ? 'read' : 'write'}`;
+  
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    const error = new Error(`API key is missing the ${scope} scope`);
+    error.statusCode = 403;
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Middleware to check if user is acting as a buyer (active role)
  */
 const requireBuyer = (req, res, next) => {
-  if (!req.user || req.user.role !== 'BUYER') {
+  if (!req.user || req.user.role !== 'BUYER' || !req.user.roles.includes('BUYER')) {
     const error = new Error('Access denied. Buyers only');
     error.statusCode = 403;
     return next(error);
@@ -68,10 +149,10 @@ const requireBuyer = (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is a seller
+ * Middleware to check if user is acting as a seller (active role)
  */
 const requireSeller = (req, res, next) => {
-  if (!req.user || req.user.role !== 'SELLER') {
+  if (!req.user || req.user.role !== 'SELLER' || !req.user.roles.includes('SELLER')) {
     const error = new Error('Access denied. Sellers only');
     error.statusCode = 403;
     return next(error);
@@ -80,15 +161,41 @@ const requireSeller = (req, res, next) => {
 };
 
 /**
- * Middleware to check if user is a project owner
+ * Middleware to check if user is an administrator
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'ADMIN') {
+    const error = new Error('Access denied. Administrators only');
+    error.statusCode = 403;
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Middleware to check if user has verified their email address
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    const error = new Error('Please verify your email address first');
+    error.statusCode = 403;
+    return next(error);
+  }
+  next();
+};
+
+/**
+ * Middleware factory to check if user owns a project, or has the given
+ * permission on it through an organization
+ * @param {String} permission - One of view, edit, award, upload, delete
  */
-const requireProjectOwner = async (req, res, next) => {
+const requireProjectPermission = (permission) => async (req, res, next) => {
   try {
     const projectId = req.params.id;
     
     const project = await prisma.project.findUnique({
       where: { id: projectId },
-      select: { buyerId: true }
+      select: { buyerId: true, organizationId: true }
     });
     
     if (!project) {
@@ -97,8 +204,8 @@ const requireProjectOwner = async (req, res, next) => {
       throw error;
     }
     
-    if (project.buyerId !== req.user.id) {
-      const error = new Error('Access denied. You do not own this project');
+    if (!(await hasProjectPermission(project, req.user.id, permission))) {
+      const error = new Error('Access denied. You do not have permission to do this on this project');
       error.statusCode = 403;
       throw error;
     }
@@ -111,7 +218,11 @@ const requireProjectOwner = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  requireSession,
+  requireScope,
   requireBuyer,
   requireSeller,
-  requireProjectOwner
+  requireAdmin,
+  requireVerifiedEmail,
+  requireProjectPermission
 };
\ No newline at end of file
@@ -16,6 +16,11 @@ const errorHandler = (err, req, res, next) => {
     message: err.message || 'Internal Server Error',
   };
   
+  // Tell throttled clients when to retry
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  
   // Add validation errors if available
   if (err.errors) {
     response.errors = err.errors;
@@ -2,16 +2,20 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Ensure upload directory exists
+// Ensure upload directories exist. Private uploads are not served statically; they're
+// downloaded through endpoints that check access first.
 const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+const privateUploadDir = process.env.PRIVATE_UPLOAD_DIR || 'private-uploads';
+for (const dir of [uploadDir, privateUploadDir]) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
 }
 
 // Configure storage
-const storage = multer.diskStorage({
+const createStorage = (dir) => multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, dir);
   },
   filename: (req, file, cb) => {
     // Create unique filename using timestamp and original extension
@@ -21,6 +25,8 @@ const storage = multer.diskStorage({
   }
 });
 
+const storage = createStorage(uploadDir);
+
 // File filter
 const fileFilter = (req, file, cb) => {
   // Accept common file types
@@ -48,4 +54,33 @@ const upload = multer({
   },
 });
 
-module.exports = { upload };
\ No newline at end of file
+// Create multer instance for files only some users may see (bid attachments)
+const privateUpload = multer({
+  storage: createStorage(privateUploadDir),
+  fileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+  },
+});
+
+// Image-only filter (used for avatars)
+const imageFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+  
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, GIF and WebP images are allowed.'), false);
+  }
+};
+
+// Create multer instance for images
+const imageUpload = multer({
+  storage,
+  fileFilter: imageFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB max file size
+  },
+});
+
+module.exports = { upload, privateUpload, imageUpload };
\ No newline at end of file
@@ -0,0 +1,28 @@
+const { rateLimit } = require('express-rate-limit');
+
+/**
+ * General per-IP limiter for the whole API
+ */
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.RATE_LIMIT_MAX || '1000'), // limit each IP to this many requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Stricter per-IP limiter for credential endpoints (login, password reset, ...)
+ * Per-account throttling of failed logins lives in utils/loginThrottle.js
+ */
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '30'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: true,
+    message: 'Too many requests. Please try again later',
+  },
+});
+
+module.exports = { apiLimiter, authLimiter };
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  getUserById,
+  suspendUser,
+  banUser,
+  reinstateUser,
+  getProjects,
+  closeProject,
+  resolveDispute,
+  deleteProject,
+  deleteBid,
+  getStats
+} = require('../controllers/admin.controller');
+const { authenticate, requireSession, requireAdmin } = require('../middleware/auth');
+
+// Protected routes - require an administrator's logged-in session
+router.use(authenticate, requireSession, requireAdmin);
+
+// Platform statistics
+router.get('/stats', getStats);
+
+// User moderation
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.post('/users/:id/suspend', suspendUser);
+router.post('/users/:id/ban', banUser);
+router.post('/users/:id/reinstate', reinstateUser);
+
+// Project moderation
+router.get('/projects', getProjects);
+router.post('/projects/:id/close', closeProject);
+router.post('/projects/:id/resolve-dispute', resolveDispute);
+router.delete('/projects/:id', deleteProject);
+
+// Bid moderation
+router.delete('/bids/:id', deleteBid);
+
+module.exports = router;
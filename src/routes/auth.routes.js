@@ -1,13 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getProfile } = require('../controllers/auth.controller');
-const { authenticate } = require('../middleware/auth');
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  getProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/auth.controller');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactor.controller');
+const { authenticate, requireSession } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', authLimiter, register);
+router.post('/login', authLimiter, login);
+router.post('/2fa/verify', authLimiter, verifyTwoFactorLogin);
+router.post('/refresh', refresh);
+router.post('/verify-email', authLimiter, verifyEmail);
+router.post('/forgot-password', authLimiter, forgotPassword);
+router.post('/reset-password', authLimiter, resetPassword);
 
 // Protected routes
 router.get('/profile', authenticate, getProfile);
+router.post('/logout', authenticate, requireSession, logout);
+router.post('/logout-all', authenticate, requireSession, logoutAll);
+router.post('/resend-verification', authenticate, requireSession, resendVerification);
+
+// Two-factor authentication management
+router.post('/2fa/setup', authenticate, requireSession, setupTwoFactor);
+router.post('/2fa/enable', authenticate, requireSession, enableTwoFactor);
+router.post('/2fa/disable', authenticate, requireSession, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, requireSession, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
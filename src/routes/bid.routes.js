@@ -4,19 +4,37 @@ const {
   getSellerBids,
   createBid,
   updateBid,
-  deleteBid,
+  withdrawBid,
   getBidById
 } = require('../controllers/bid.controller');
-const { authenticate, requireSeller } = require('../middleware/auth');
+const {
+  getBidOffers,
+  getBidRevisions,
+  createOffer,
+  acceptOffer,
+  rejectOffer
+} = require('../controllers/bidOffer.controller');
+const {
+  uploadBidFiles,
+  downloadBidFile,
+  deleteBidFile
+} = require('../controllers/bidAttachment.controller');
+const {
+  authenticate,
+  requireScope,
+  requireSeller,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { privateUpload } = require('../middleware/fileUpload');
 
-// Protected routes - require authentication
-router.use(authenticate);
+// Protected routes - require authentication (API keys need the bids scope)
+router.use(authenticate, requireScope('bids'));
 
 // Get all bids for the current seller (sellers only)
 router.get('/seller', requireSeller, getSellerBids);
 
-// Create a new bid (sellers only)
-router.post('/', requireSeller, createBid);
+// Create a new bid (verified sellers only)
+router.post('/', requireSeller, requireVerifiedEmail, createBid);
 
 // Get a specific bid
 router.get('/:id', getBidById);
@@ -24,7 +42,34 @@ router.get('/:id', getBidById);
 // Update a bid (bid owner only)
 router.put('/:id', requireSeller, updateBid);
 
-// Delete a bid (bid owner only)
-router.delete('/:id', requireSeller, deleteBid);
+// Withdraw a bid with an optional reason (bid owner only)
+router.post('/:id/withdraw', requireSeller, withdrawBid);
+
+// Withdraw a bid (bid owner only; kept for clients that still delete bids)
+router.delete('/:id', requireSeller, withdrawBid);
+
+// Attach proposal files or samples to a bid (bid owner only)
+router.post('/:id/files', requireSeller, privateUpload.array('files', 5), uploadBidFiles);
+
+// Download a bid attachment (bid owner or project owner)
+router.get('/:id/files/:fileId', downloadBidFile);
+
+// Remove a bid attachment (bid owner only)
+router.delete('/:id/files/:fileId', requireSeller, deleteBidFile);
+
+// Get a bid's history of terms (bid owner or project owner)
+router.get('/:id/revisions', getBidRevisions);
+
+// Get a bid's negotiation thread (bid owner or project owner)
+router.get('/:id/offers', getBidOffers);
+
+// Make a counter-offer (bid owner, or project owner or organization manager)
+router.post('/:id/offers', createOffer);
+
+// Accept the other side's offer, updating the bid's terms
+router.post('/:id/offers/:offerId/accept', acceptOffer);
+
+// Reject the other side's offer
+router.post('/:id/offers/:offerId/reject', rejectOffer);
 
 module.exports = router;
\ No newline at end of file
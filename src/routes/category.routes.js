@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/category.controller');
+const { authenticate, requireSession, requireAdmin, requireScope } = require('../middleware/auth');
+
+// Protected routes - require authentication (API keys need the projects scope)
+router.use(authenticate, requireScope('projects'));
+
+// Get all categories
+router.get('/', getCategories);
+
+// Manage categories (administrators only)
+router.post('/', requireSession, requireAdmin, createCategory);
+router.put('/:id', requireSession, requireAdmin, updateCategory);
+router.delete('/:id', requireSession, requireAdmin, deleteCategory);
+
+module.exports = router;
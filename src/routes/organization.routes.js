@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrganization,
+  getMyOrganizations,
+  getOrganizationById,
+  updateOrganization,
+  deleteOrganization,
+  inviteMember,
+  cancelInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  updateMemberRole,
+  removeMember
+} = require('../controllers/organization.controller');
+const { authenticate, requireSession } = require('../middleware/auth');
+
+// Protected routes - require a logged-in session (not an API key)
+router.use(authenticate, requireSession);
+
+// Get organizations the current user belongs to
+router.get('/', getMyOrganizations);
+
+// Create an organization
+router.post('/', createOrganization);
+
+// Get organization invitations waiting for the current user
+router.get('/invitations', getMyInvitations);
+
+// Accept an invitation
+router.post('/invitations/:invitationId/accept', acceptInvitation);
+
+// Decline an invitation
+router.post('/invitations/:invitationId/decline', declineInvitation);
+
+// Get a specific organization (members only)
+router.get('/:id', getOrganizationById);
+
+// Rename an organization (owners only)
+router.put('/:id', updateOrganization);
+
+// Delete an organization (owners only)
+router.delete('/:id', deleteOrganization);
+
+// Invite a member (owners only)
+router.post('/:id/invitations', inviteMember);
+
+// Cancel a pending invitation (owners only)
+router.delete('/:id/invitations/:invitationId', cancelInvitation);
+
+// Change a member's role (owners only)
+router.put('/:id/members/:userId', updateMemberRole);
+
+// Remove a member (owners only, or a member leaving)
+router.delete('/:id/members/:userId', removeMember);
+
+module.exports = router;
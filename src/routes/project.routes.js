@@ -2,46 +2,149 @@ const express = require('express');
 const router = express.Router();
 const {
   getAllProjects,
+  getMatchingProjects,
   getProjectById,
   createProject,
   updateProject,
   deleteProject,
+  updateBiddingWindow,
   getProjectBids,
   selectBid,
   completeProject,
+  publishProject,
+  cancelProject,
+  disputeProject,
+  getProjectStatusHistory,
+  getProjectRevisions,
+  cloneProject,
   uploadProjectFiles
 } = require('../controllers/project.controller');
-const { authenticate, requireBuyer, requireProjectOwner } = require('../middleware/auth');
+const {
+  getProjectMilestones,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone,
+  submitMilestone,
+  approveMilestone,
+  requestMilestoneRevision
+} = require('../controllers/milestone.controller');
+const {
+  getProjectInvitations,
+  inviteSeller,
+  revokeInvitation,
+  getMyInvitations
+} = require('../controllers/invitation.controller');
+const {
+  getProjectQuestions,
+  askQuestion,
+  answerQuestion,
+  deleteQuestion
+} = require('../controllers/question.controller');
+const {
+  updateBidEvaluation,
+  compareBids
+} = require('../controllers/bidEvaluation.controller');
+const { createReview } = require('../controllers/review.controller');
+const {
+  authenticate,
+  requireScope,
+  requireBuyer,
+  requireSeller,
+  requireVerifiedEmail,
+  requireProjectPermission
+} = require('../middleware/auth');
 const { upload } = require('../middleware/fileUpload');
 
-// Protected routes - require authentication
-router.use(authenticate);
+// Protected routes - require authentication (API keys need the projects scope)
+router.use(authenticate, requireScope('projects'));
 
 // Get all projects (filtered based on user role)
 router.get('/', getAllProjects);
 
+// Get open projects matching the seller's skills (sellers only)
+router.get('/matching', requireSeller, getMatchingProjects);
+
+// Get the seller's invitations to invite-only and private projects (sellers only)
+router.get('/invitations', requireSeller, getMyInvitations);
+
 // Get a specific project
 router.get('/:id', getProjectById);
 
-// Create a new project (buyers only)
-router.post('/', requireBuyer, createProject);
+// Create a new project (verified buyers only)
+router.post('/', requireBuyer, requireVerifiedEmail, createProject);
+
+// Update a project (project owner or organization manager)
+router.put('/:id', requireProjectPermission('edit'), updateProject);
 
-// Update a project (project owner only)
-router.put('/:id', requireProjectOwner, updateProject);
+// Delete a project (project owner or organization owner)
+router.delete('/:id', requireProjectPermission('delete'), deleteProject);
 
-// Delete a project (project owner only)
-router.delete('/:id', requireProjectOwner, deleteProject);
+// Extend or reopen bidding (project owner or organization manager)
+router.put('/:id/bidding', requireProjectPermission('edit'), updateBiddingWindow);
 
-// Get all bids for a project
+// Get a project's bids, filtered and sorted by amount, delivery time or seller rating
 router.get('/:id/bids', getProjectBids);
 
-// Select a bid for a project (project owner only)
-router.post('/:id/select-bid', requireProjectOwner, selectBid);
+// Compare selected or shortlisted bids side by side (project owner or organization member)
+router.get('/:id/bids/compare', requireProjectPermission('view'), compareBids);
+
+// Shortlist a bid or keep a private note on it (project owner or organization manager)
+router.put('/:id/bids/:bidId/evaluation', requireProjectPermission('award'), updateBidEvaluation);
+
+// Select a bid for a project (project owner or organization manager)
+router.post('/:id/select-bid', requireProjectPermission('award'), selectBid);
+
+// Mark a project as completed (project owner or organization manager)
+router.post('/:id/complete', requireProjectPermission('award'), completeProject);
+
+// Rate the seller of a completed project (project owner or organization manager)
+router.post('/:id/review', requireProjectPermission('award'), createReview);
 
-// Mark a project as completed (project owner only)
-router.post('/:id/complete', requireProjectOwner, completeProject);
+// Publish a draft project (project owner or organization manager)
+router.post('/:id/publish', requireProjectPermission('edit'), publishProject);
+
+// Cancel a project (project owner or organization manager)
+router.post('/:id/cancel', requireProjectPermission('award'), cancelProject);
+
+// Open a dispute on an in-progress project (buyer side or selected seller)
+router.post('/:id/dispute', disputeProject);
+
+// Get a project's status history
+router.get('/:id/history', getProjectStatusHistory);
+
+// Get a project's edit history
+router.get('/:id/revisions', getProjectRevisions);
+
+// Post a copy of a project (project owner or organization manager, verified buyers only)
+router.post('/:id/clone', requireBuyer, requireVerifiedEmail, requireProjectPermission('edit'), cloneProject);
 
 // Upload files to a project
 router.post('/:id/files', upload.array('files', 5), uploadProjectFiles);
 
+// Get all milestones for a project
+router.get('/:id/milestones', getProjectMilestones);
+
+// Add, edit or delete milestones (project owner or organization manager)
+router.post('/:id/milestones', requireProjectPermission('edit'), createMilestone);
+router.put('/:id/milestones/:milestoneId', requireProjectPermission('edit'), updateMilestone);
+router.delete('/:id/milestones/:milestoneId', requireProjectPermission('edit'), deleteMilestone);
+
+// Submit a milestone for review (selected seller only)
+router.post('/:id/milestones/:milestoneId/submit', submitMilestone);
+
+// Approve a milestone or request changes (project owner or organization manager)
+router.post('/:id/milestones/:milestoneId/approve', requireProjectPermission('award'), approveMilestone);
+router.post('/:id/milestones/:milestoneId/request-revision', requireProjectPermission('award'), requestMilestoneRevision);
+
+// Manage the sellers invited to bid (project owner or organization manager)
+router.get('/:id/invitations', requireProjectPermission('view'), getProjectInvitations);
+router.post('/:id/invitations', requireProjectPermission('edit'), inviteSeller);
+router.delete('/:id/invitations/:invitationId', requireProjectPermission('edit'), revokeInvitation);
+
+// Clarification questions: sellers ask, the project owner or an organization manager answers
+router.get('/:id/questions', getProjectQuestions);
+router.post('/:id/questions', requireSeller, askQuestion);
+router.put('/:id/questions/:questionId/answer', requireProjectPermission('edit'), answerQuestion);
+router.delete('/:id/questions/:questionId', deleteQuestion);
+
 module.exports = router;
\ No newline at end of file
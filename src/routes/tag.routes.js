@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getTags } = require('../controllers/tag.controller');
+const { authenticate, requireScope } = require('../middleware/auth');
+
+// Protected routes - require authentication (API keys need the projects scope)
+router.use(authenticate, requireScope('projects'));
+
+// Get tags (most used first)
+router.get('/', getTags);
+
+module.exports = router;
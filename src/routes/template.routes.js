@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createProjectFromTemplate
+} = require('../controllers/template.controller');
+const {
+  authenticate,
+  requireScope,
+  requireBuyer,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+
+// Protected routes - buyers only (API keys need the projects scope)
+router.use(authenticate, requireScope('projects'), requireBuyer);
+
+// Get the buyer's templates
+router.get('/', getTemplates);
+
+// Create a template, or save an existing project as one
+router.post('/', createTemplate);
+
+// Get a specific template (template owner only)
+router.get('/:id', getTemplateById);
+
+// Update a template (template owner only)
+router.put('/:id', updateTemplate);
+
+// Delete a template (template owner only)
+router.delete('/:id', deleteTemplate);
+
+// Post a new project from a template (verified template owner only)
+router.post('/:id/projects', requireVerifiedEmail, createProjectFromTemplate);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const {
+  updateProfile,
+  changePassword,
+  uploadAvatar,
+  getSellerProfile,
+  updateSkills,
+  addRole,
+  switchActiveRole,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  exportData,
+  deleteAccount
+} = require('../controllers/user.controller');
+const { getSellerReviews } = require('../controllers/review.controller');
+const { authenticate, requireSession } = require('../middleware/auth');
+const { imageUpload } = require('../middleware/fileUpload');
+
+// Protected routes - require a logged-in session (not an API key)
+router.use(authenticate, requireSession);
+
+// Update own profile
+router.put('/me', updateProfile);
+
+// Delete own account
+router.delete('/me', deleteAccount);
+
+// Download all own data
+router.get('/me/export', exportData);
+
+// Change own password
+router.put('/me/password', changePassword);
+
+// Upload own avatar
+router.post('/me/avatar', imageUpload.single('avatar'), uploadAvatar);
+
+// Replace own skills
+router.put('/me/skills', updateSkills);
+
+// Add the buyer or seller role to own account
+router.post('/me/roles', addRole);
+
+// Switch own active role
+router.put('/me/active-role', switchActiveRole);
+
+// Manage own API keys
+router.get('/me/api-keys', getApiKeys);
+router.post('/me/api-keys', createApiKey);
+router.delete('/me/api-keys/:keyId', revokeApiKey);
+
+// Get a seller's public profile
+router.get('/:id', getSellerProfile);
+
+// Get the reviews a seller has received
+router.get('/:id/reviews', getSellerReviews);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+/**
+ * Create an administrator account, or promote an existing user
+ * Usage: npm run admin:create -- <email> <name> <password>
+ */
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+require('dotenv').config();
+
+const prisma = new PrismaClient();
+
+const main = async () => {
+  const [email, name, password] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run admin:create -- <email> [name] [password]');
+    process.exit(1);
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email }
+  });
+
+  if (existingUser) {
+    await prisma.user.update({
+      where: { id: existingUser.id },
+      data: {
+        role: 'ADMIN',
+        roles: existingUser.roles.includes('ADMIN') ? undefined : { push: 'ADMIN' },
+      },
+    });
+    console.log(`Promoted ${email} to administrator`);
+    return;
+  }
+
+  if (!name || !password) {
+    console.error('Name and password are required to create a new administrator');
+    process.exit(1);
+  }
+
+  // Hash password
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  await prisma.user.create({
+    data: {
+      name,
+      email,
+      password: hashedPassword,
+      role: 'ADMIN',
+      roles: ['ADMIN'],
+      emailVerified: true,
+    },
+  });
+  console.log(`Created administrator ${email}`);
+};
+
+main()
+  .catch((error) => {
+    console.error('Failed to create administrator:', error);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { hashToken } = require('./sessionService');
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ['projects:read', 'projects:write', 'bids:read', 'bids:write'];
+
+const KEY_PREFIX = 'pbk';
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, prefix, keyHash } - key is shown to the user once, only the hash is stored
+ */
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Look up an active API key and record its use
+ * @param {String} key - Raw API key from the request
+ * @returns {Promise<Object>} API key record
+ */
+const verifyApiKey = async (key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+  });
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    const error = new Error('Invalid or revoked API key');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date() },
+  });
+
+  return apiKey;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  verifyApiKey,
+};
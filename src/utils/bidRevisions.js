@@ -0,0 +1,23 @@
+// Bid terms recorded in a bid's revision history
+const BID_REVISION_FIELDS = ['amount', 'deliveryTime', 'message'];
+
+/**
+ * Work out which bid terms an update changes
+ * @param {Object} bid - Bid with its current terms
+ * @param {Object} changes - New values (omitted fields are left alone)
+ * @returns {Object} { field: { from, to } } for each changed term
+ */
+const diffBid = (bid, changes) => {
+  const diff = {};
+
+  for (const field of BID_REVISION_FIELDS) {
+    if (changes[field] === undefined || changes[field] === bid[field]) continue;
+    diff[field] = { from: bid[field], to: changes[field] };
+  }
+
+  return diff;
+};
+
+module.exports = {
+  diffBid,
+};
@@ -0,0 +1,58 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BID_VALIDATION_POLICIES = ['warn', 'reject'];
+
+/**
+ * What happens to bids outside the project's budget or deadline (BID_VALIDATION_POLICY):
+ *  - warn:   the bid is accepted and flagged with warnings the buyer can see
+ *  - reject: the bid is refused
+ * @returns {String} warn or reject
+ */
+const getBidValidationPolicy = () => {
+  const policy = (process.env.BID_VALIDATION_POLICY || 'warn').toLowerCase();
+  return BID_VALIDATION_POLICIES.includes(policy) ? policy : 'warn';
+};
+
+/**
+ * Check bid terms against the project's budget and deadline
+ * @param {Object} project - Project with budgetMin, budgetMax and deadline
+ * @param {Object} terms - Bid amount and deliveryTime (in days)
+ * @param {Date} now - When delivery would start
+ * @returns {String[]} Warnings, empty if the bid fits
+ */
+const checkBidTerms = (project, { amount, deliveryTime }, now = new Date()) => {
+  const warnings = [];
+
+  if (amount < project.budgetMin || amount > project.budgetMax) {
+    warnings.push(`Amount is outside the project budget of ${project.budgetMin} to ${project.budgetMax}`);
+  }
+
+  if (now.getTime() + deliveryTime * DAY_MS > project.deadline.getTime()) {
+    warnings.push('Delivery time runs past the project deadline');
+  }
+
+  return warnings;
+};
+
+/**
+ * Check bid terms and apply the validation policy
+ * @param {Object} project - Project with budgetMin, budgetMax and deadline
+ * @param {Object} terms - Bid amount and deliveryTime (in days)
+ * @returns {String[]} Warnings to store on the bid (throws a 400 instead under the reject policy)
+ */
+const validateBidTerms = (project, terms) => {
+  const warnings = checkBidTerms(project, terms);
+
+  if (warnings.length > 0 && getBidValidationPolicy() === 'reject') {
+    const error = new Error(warnings.join('. '));
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return warnings;
+};
+
+module.exports = {
+  checkBidTerms,
+  validateBidTerms,
+};
@@ -0,0 +1,97 @@
+const { Prisma } = require('@prisma/client');
+const { assertProjectAction } = require('./projectLifecycle');
+
+/**
+ * Prisma filter for projects that are currently accepting bids
+ * @param {Date} now - Reference time
+ * @returns {Object} Where clause
+ */
+const openForBiddingFilter = (now = new Date()) => ({
+  status: 'PENDING',
+  OR: [
+    { biddingClosesAt: null },
+    { biddingClosesAt: { gt: now } },
+  ],
+});
+
+/**
+ * SQL twin of openForBiddingFilter for raw queries on "Project" p
+ * @param {Date} now - Reference time
+ * @returns {Prisma.Sql} Condition
+ */
+const openForBiddingSql = (now = new Date()) => Prisma.sql`(
+  p."status" = 'PENDING'
+  AND (p."biddingClosesAt" IS NULL OR p."biddingClosesAt" > ${now})
+)`;
+
+/**
+ * Throw a 400 unless the project is pending and its bidding window hasn't closed
+ * @param {Object} project - Project with status and biddingClosesAt
+ */
+const assertBiddingOpen = (project) => {
+  if (project.status === 'EXPIRED') {
+    const error = new Error('Bidding on this project has expired');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  assertProjectAction(project, 'bid');
+
+  if (project.biddingClosesAt && project.biddingClosesAt <= new Date()) {
+    const error = new Error('Bidding on this project has closed');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Parse and validate a bidding close date from the request body
+ * @param {String} value - Date string
+ * @param {Date} deadline - Project deadline the window has to close by
+ * @returns {Date} Close date
+ */
+const parseBiddingClosesAt = (value, deadline) => {
+  const closesAt = new Date(value);
+
+  if (Number.isNaN(closesAt.getTime())) {
+    const error = new Error('Invalid biddingClosesAt date');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (closesAt <= new Date()) {
+    const error = new Error('Bidding close date must be in the future');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (deadline && closesAt > deadline) {
+    const error = new Error('Bidding must close before the project deadline');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return closesAt;
+};
+
+/**
+ * Lock a project row until the end of an interactive transaction, so bids on it are checked and placed one at a time
+ * @param {Object} tx - Transaction client from prisma.$transaction(async (tx) => ...)
+ * @param {String} projectId - Project to lock
+ * @returns {Promise<Object>} The locked project's biddingClosesAt and deadline
+ */
+const lockProjectForBidding = async (tx, projectId) => {
+  const [project] = await tx.$queryRaw`
+    SELECT "biddingClosesAt", "deadline" FROM "Project" WHERE "id" = ${projectId} FOR UPDATE
+  `;
+
+  return project;
+};
+
+module.exports = {
+  openForBiddingFilter,
+  openForBiddingSql,
+  assertBiddingOpen,
+  parseBiddingClosesAt,
+  lockProjectForBidding,
+};
@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('./emailService');
+
+// Failed attempts are forgotten after this long without a new failure
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const LOCK_DURATION_MS = parseInt(process.env.LOGIN_LOCK_MINUTES || '15') * 60 * 1000;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Limits per throttle kind
+ *  - freeAttempts: failures allowed before delays kick in
+ *  - lockAfter: failures that trigger a temporary lockout
+ */
+const LIMITS = {
+  user: { freeAttempts: 3, lockAfter: parseInt(process.env.LOGIN_MAX_FAILURES || '10') },
+  ip: { freeAttempts: 10, lockAfter: 50 },
+};
+
+const tooManyAttempts = (retryAfterMs) => {
+  const error = new Error('Too many failed login attempts. Please try again later');
+  error.statusCode = 429;
+  error.retryAfter = Math.ceil(retryAfterMs / 1000);
+  return error;
+};
+
+const isStale = (throttle, now) => {
+  const lockExpired = throttle.lockedUntil && throttle.lockedUntil <= now;
+  return lockExpired || now - throttle.lastFailureAt > FAILURE_WINDOW_MS;
+};
+
+/**
+ * Throw a 429 if a login is locked out or still inside its progressive delay
+ * @param {String} kind - user or ip
+ * @param {String} id - User id or IP address
+ */
+const assertLoginAllowed = async (kind, id) => {
+  const throttle = await prisma.loginThrottle.findUnique({
+    where: { key: `${kind}:${id}` },
+  });
+
+  const now = new Date();
+  if (!throttle || isStale(throttle, now)) return;
+
+  if (throttle.lockedUntil) {
+    throw tooManyAttempts(throttle.lockedUntil - now);
+  }
+
+  // Delay doubles with every failure past the free attempts: 1s, 2s, 4s ... up to a minute
+  const { freeAttempts } = LIMITS[kind];
+  if (throttle.failures >= freeAttempts) {
+    const delayMs = Math.min(2 ** (throttle.failures - freeAttempts), MAX_DELAY_SECONDS) * 1000;
+    const waitMs = throttle.lastFailureAt.getTime() + delayMs - now.getTime();
+
+    if (waitMs > 0) {
+      throw tooManyAttempts(waitMs);
+    }
+  }
+};
+
+/**
+ * Record a failed login
+ * @param {String} kind - user or ip
+ * @param {String} id - User id or IP address
+ * @returns {Promise<Boolean>} True if this failure locked the key
+ */
+const recordLoginFailure = async (kind, id) => {
+  const key = `${kind}:${id}`;
+  const now = new Date();
+
+  // Start over once the window has passed or a lock has run out
+  await prisma.loginThrottle.updateMany({
+    where: {
+      key,
+      OR: [
+        { lockedUntil: { lte: now } },
+        { lastFailureAt: { lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      ],
+    },
+    data: { failures: 0, lockedUntil: null },
+  });
+
+  // Increment in the database so parallel failures all count
+  const throttle = await prisma.loginThrottle.upsert({
+    where: { key },
+    create: { key, failures: 1, lastFailureAt: now },
+    update: { failures: { increment: 1 }, lastFailureAt: now },
+  });
+
+  if (throttle.failures < LIMITS[kind].lockAfter) {
+    return false;
+  }
+
+  await prisma.loginThrottle.updateMany({
+    where: { key },
+    data: { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) },
+  });
+
+  // Only the failure that reached the limit counts as locking the key
+  return throttle.failures === LIMITS[kind].lockAfter;
+};
+
+/**
+ * Clear failed logins after a successful one
+ * @param {String} kind - user or ip
+ * @param {String} id - User id or IP address
+ */
+const resetLoginFailures = async (kind, id) => {
+  await prisma.loginThrottle.deleteMany({
+    where: { key: `${kind}:${id}` },
+  });
+};
+
+/**
+ * Warn the account owner that their account was locked after repeated failed attempts
+ * @param {Object} user - User with email
+ */
+const sendLockoutEmail = async (user) => {
+  const minutes = Math.round(LOCK_DURATION_MS / 60000);
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your account has been temporarily locked',
+    text: `We locked your account for ${minutes} minutes after several failed login attempts. If this wasn't you, we recommend resetting your password.`,
+    html: `
+      <h2>Account Temporarily Locked</h2>
+      <p>We locked your account for ${minutes} minutes after several failed login attempts.</p>
+      <p>If this wasn't you, we recommend resetting your password.</p>
+    `,
+  });
+};
+
+module.exports = {
+  LOCK_DURATION_MS,
+  assertLoginAllowed,
+  recordLoginFailure,
+  resetLoginFailures,
+  sendLockoutEmail,
+};
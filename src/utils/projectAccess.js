@@ -0,0 +1,222 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/**
+ * What each organization role may do on the organization's projects.
+ * The buyer who created a project can always do everything.
+ *  - view:   see the project's bids
+ *  - edit:   update project details
+ *  - award:  select a winning bid and complete the project
+ *  - upload: upload project files
+ *  - delete: delete the project
+ */
+const ORGANIZATION_ROLE_PERMISSIONS = {
+  OWNER: ['view', 'edit', 'award', 'upload', 'delete'],
+  MANAGER: ['view', 'edit', 'award', 'upload'],
+  VIEWER: ['view'],
+};
+
+const ALL_PERMISSIONS = ORGANIZATION_ROLE_PERMISSIONS.OWNER;
+
+const PROJECT_VISIBILITIES = ['PUBLIC', 'INVITE_ONLY', 'PRIVATE'];
+
+/**
+ * Get the permissions a user has on a project through ownership or organization membership
+ * @param {Object} project - Project with buyerId and organizationId
+ * @param {String} userId - User to check
+ * @returns {Promise<String[]>} Permissions (empty if the user is not on the buyer side)
+ */
+const getProjectPermissions = async (project, userId) => {
+  if (project.buyerId === userId) {
+    return ALL_PERMISSIONS;
+  }
+
+  if (!project.organizationId) {
+    return [];
+  }
+
+  const membership = await prisma.organizationMember.findUnique({
+    where: {
+      organizationId_userId: {
+        organizationId: project.organizationId,
+        userId,
+      },
+    },
+    select: { role: true },
+  });
+
+  return membership ? ORGANIZATION_ROLE_PERMISSIONS[membership.role] : [];
+};
+
+/**
+ * Check whether a user has a permission on a project
+ * @param {Object} project - Project with buyerId and organizationId
+ * @param {String} userId - User to check
+ * @param {String} permission - One of view, edit, award, upload, delete
+ * @returns {Promise<Boolean>}
+ */
+const hasProjectPermission = async (project, userId, permission) => {
+  const permissions = await getProjectPermissions(project, userId);
+  return permissions.includes(permission);
+};
+
+/**
+ * Throw a 403 unless the user may post projects on behalf of the organization (owners and managers)
+ * @param {String} organizationId - Organization to post for
+ * @param {String} userId - User posting
+ */
+const assertCanPostForOrganization = async (organizationId, userId) => {
+  const membership = await prisma.organizationMember.findUnique({
+    where: {
+      organizationId_userId: {
+        organizationId,
+        userId,
+      },
+    },
+  });
+
+  if (!membership || membership.role === 'VIEWER') {
+    const error = new Error('You are not allowed to create projects for this organization');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Prisma filter matching projects a user owns directly or through an organization
+ * @param {String} userId - User to match
+ */
+const buyerSideFilter = (userId) => ({
+  OR: [
+    { buyerId: userId },
+    { organization: { members: { some: { userId } } } },
+  ],
+});
+
+/**
+ * Prisma filter matching projects listed for a seller: public ones and invite-only ones they were invited to.
+ * Private projects are never listed.
+ * @param {String} userId - Seller to match
+ */
+const sellerListingFilter = (userId) => ({
+  OR: [
+    { visibility: 'PUBLIC' },
+    { visibility: 'INVITE_ONLY', invitations: { some: { sellerId: userId } } },
+  ],
+});
+
+/**
+ * SQL twin of buyerSideFilter for raw queries on "Project" p
+ * @param {String} userId - User to match
+ * @returns {Prisma.Sql} Condition
+ */
+const buyerSideSql = (userId) => Prisma.sql`(
+  p."buyerId" = ${userId}
+  OR EXISTS (
+    SELECT 1 FROM "OrganizationMember" m
+    WHERE m."organizationId" = p."organizationId" AND m."userId" = ${userId}
+  )
+)`;
+
+/**
+ * SQL twin of sellerListingFilter for raw queries on "Project" p
+ * @param {String} userId - Seller to match
+ * @returns {Prisma.Sql} Condition
+ */
+const sellerListingSql = (userId) => Prisma.sql`(
+  p."visibility" = 'PUBLIC'
+  OR (
+    p."visibility" = 'INVITE_ONLY'
+    AND EXISTS (
+      SELECT 1 FROM "ProjectInvitation" i
+      WHERE i."projectId" = p."id" AND i."sellerId" = ${userId}
+    )
+  )
+)`;
+
+/**
+ * Check whether a seller may open a project: public projects, and restricted ones they were invited to or already bid on
+ * @param {Object} project - Project with id and visibility
+ * @param {String} userId - Seller to check
+ * @returns {Promise<Boolean>}
+ */
+const canSellerAccessProject = async (project, userId) => {
+  if (project.visibility === 'PUBLIC') {
+    return true;
+  }
+
+  const count = await prisma.project.count({
+    where: {
+      id: project.id,
+      OR: [
+        { invitations: { some: { sellerId: userId } } },
+        { bids: { some: { sellerId: userId } } },
+      ],
+    },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Check whether a user may open a project: the buyer side, the selected seller, admins,
+ * and sellers its visibility lets in. Drafts are only visible to the buyer side.
+ * @param {Object} project - Project with id, buyerId, organizationId, sellerId, status and visibility
+ * @param {Object} user - User with id and role
+ * @returns {Promise<Boolean>}
+ */
+const canViewProject = async (project, user) => {
+  if (await hasProjectPermission(project, user.id, 'view')) {
+    return true;
+  }
+
+  if (project.status === 'DRAFT') {
+    return false;
+  }
+
+  return project.sellerId === user.id
+    || user.role === 'ADMIN'
+    || canSellerAccessProject(project, user.id);
+};
+
+/**
+ * Check whether a user may see a bid: its seller, or the project's buyer side
+ * @param {Object} bid - Bid with sellerId and project (buyerId and organizationId)
+ * @param {String} userId - User to check
+ * @returns {Promise<Boolean>}
+ */
+const canViewBid = async (bid, userId) => {
+  return bid.sellerId === userId || hasProjectPermission(bid.project, userId, 'view');
+};
+
+/**
+ * Validate a visibility setting from a request body
+ * @param {String} value - PUBLIC, INVITE_ONLY or PRIVATE (any case)
+ * @returns {String} Visibility
+ */
+const parseVisibility = (value) => {
+  const visibility = String(value).toUpperCase();
+
+  if (!PROJECT_VISIBILITIES.includes(visibility)) {
+    const error = new Error('Visibility must be PUBLIC, INVITE_ONLY or PRIVATE');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return visibility;
+};
+
+module.exports = {
+  ORGANIZATION_ROLE_PERMISSIONS,
+  getProjectPermissions,
+  hasProjectPermission,
+  assertCanPostForOrganization,
+  buyerSideFilter,
+  sellerListingFilter,
+  buyerSideSql,
+  sellerListingSql,
+  canSellerAccessProject,
+  canViewProject,
+  canViewBid,
+  parseVisibility,
+};
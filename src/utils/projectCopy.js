@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const uploadDir = process.env.UPLOAD_DIR || 'uploads';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from one date to another
+ * @param {Date} from - Start
+ * @param {Date} to - End
+ * @returns {Number} Days, never negative
+ */
+const daysBetween = (from, to) => Math.max(Math.round((to - from) / DAY_MS), 0);
+
+/**
+ * Date a number of days after another
+ * @param {Date} date - Start
+ * @param {Number} days - Days to add
+ * @returns {Date}
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Turn a project's milestones into a plan relative to its start, as stored on templates
+ * @param {Array} milestones - Milestones ordered by position
+ * @param {Date} startDate - When the project was posted
+ * @returns {Array} [{ title, description, amount, dueInDays }]
+ */
+const toMilestonePlan = (milestones, startDate) => milestones.map(milestone => ({
+  title: milestone.title,
+  description: milestone.description,
+  amount: milestone.amount,
+  dueInDays: daysBetween(startDate, milestone.dueDate),
+}));
+
+/**
+ * Milestone create data for a new project posted from a plan
+ * @param {Array} plan - Result of toMilestonePlan
+ * @param {Date} startDate - When the new project is posted
+ * @returns {Array} Milestone create data
+ */
+const fromMilestonePlan = (plan, startDate) => plan.map((milestone, position) => ({
+  title: milestone.title,
+  description: milestone.description || null,
+  amount: milestone.amount,
+  dueDate: addDays(startDate, milestone.dueInDays),
+  position,
+}));
+
+/**
+ * Copy project files on disk so a new project owns its own copies
+ * @param {Array} files - File records to copy
+ * @returns {Promise<Array>} File create data (files missing on disk are skipped)
+ */
+const copyProjectFiles = async (files) => {
+  const copies = [];
+
+  for (const file of files) {
+    // Same naming scheme as uploads
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const copyPath = path.join(uploadDir, uniqueSuffix + path.extname(file.path));
+
+    try {
+      await fs.copyFile(file.path, copyPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    copies.push({
+      name: file.name,
+      path: copyPath,
+      size: file.size,
+      mimeType: file.mimeType,
+    });
+  }
+
+  return copies;
+};
+
+/**
+ * Delete copied project files from disk (e.g. when the project they were copied for wasn't created)
+ * @param {Array} files - Result of copyProjectFiles
+ * @returns {Promise<void>}
+ */
+const removeProjectFiles = async (files) => {
+  await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+};
+
+module.exports = {
+  daysBetween,
+  addDays,
+  toMilestonePlan,
+  fromMilestonePlan,
+  copyProjectFiles,
+  removeProjectFiles,
+};
@@ -0,0 +1,288 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('./emailService');
+
+/**
+ * Allowed project status transitions and who may trigger each one
+ *  - buyer: project owner or an organization member allowed to award it
+ *  - seller: the selected seller
+ *  - admin: platform administrator
+ *  - system: background jobs and account deletion
+ */
+const PROJECT_TRANSITIONS = {
+  DRAFT: {
+    PENDING: ['buyer'],
+  },
+  PENDING: {
+    IN_PROGRESS: ['buyer', 'system'],
+    CANCELLED: ['buyer'],
+    EXPIRED: ['system'],
+    CLOSED: ['admin', 'system'],
+  },
+  EXPIRED: {
+    PENDING: ['buyer'],
+    CANCELLED: ['buyer'],
+    CLOSED: ['admin', 'system'],
+  },
+  IN_PROGRESS: {
+    COMPLETED: ['buyer'],
+    CANCELLED: ['buyer', 'admin'],
+    DISPUTED: ['buyer', 'seller'],
+    CLOSED: ['admin'],
+  },
+  // Disputes are settled by an administrator
+  DISPUTED: {
+    IN_PROGRESS: ['admin'],
+    COMPLETED: ['admin'],
+    CANCELLED: ['admin'],
+    CLOSED: ['admin'],
+  },
+  COMPLETED: {},
+  CANCELLED: {},
+  CLOSED: {},
+};
+
+// Target statuses that always need a reason on record
+const REASON_REQUIRED = ['CANCELLED', 'DISPUTED', 'CLOSED'];
+
+/**
+ * Project statuses each action is allowed in, with the error shown otherwise
+ */
+const PROJECT_ACTIONS = {
+  edit: {
+    statuses: ['DRAFT', 'PENDING'],
+    message: 'Cannot update a project that is already in progress or completed',
+  },
+  delete: {
+    statuses: ['DRAFT', 'PENDING', 'EXPIRED'],
+    message: 'Cannot delete a project that is already in progress or completed',
+  },
+  bid: {
+    statuses: ['PENDING'],
+    message: 'This project is not open for bids',
+  },
+  award: {
+    statuses: ['PENDING'],
+    message: 'Cannot select a bid for a project that is not open for bids',
+  },
+  negotiate: {
+    statuses: ['PENDING'],
+    message: 'Bids can only be negotiated while the project is open for bids',
+  },
+  askQuestions: {
+    statuses: ['PENDING'],
+    message: 'Questions can only be asked while the project is open for bids',
+  },
+  changeBidding: {
+    statuses: ['PENDING', 'EXPIRED'],
+    message: 'Bidding can only be changed before a bid is selected',
+  },
+  planMilestones: {
+    statuses: ['DRAFT', 'PENDING'],
+    message: 'Milestones can only be changed before a bid is selected',
+  },
+  deliverMilestones: {
+    statuses: ['IN_PROGRESS'],
+    message: 'Milestones can only be submitted and reviewed while the project is in progress',
+  },
+};
+
+/**
+ * Whether a project in the given status allows an action
+ * @param {String} status - Project status
+ * @param {String} action - Key of PROJECT_ACTIONS
+ * @returns {Boolean}
+ */
+const canPerformAction = (status, action) => PROJECT_ACTIONS[action].statuses.includes(status);
+
+/**
+ * Throw a 400 unless the project's status allows the action
+ * @param {Object} project - Project with status
+ * @param {String} action - Key of PROJECT_ACTIONS
+ */
+const assertProjectAction = (project, action) => {
+  if (!canPerformAction(project.status, action)) {
+    const error = new Error(PROJECT_ACTIONS[action].message);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Statuses an actor may move a project to from its current status
+ * @param {String} status - Current status
+ * @param {String[]} actors - Roles the current user holds on the project
+ * @returns {String[]} Target statuses
+ */
+const getAvailableTransitions = (status, actors) =>
+  Object.entries(PROJECT_TRANSITIONS[status] || {})
+    .filter(([, allowed]) => allowed.some(actor => actors.includes(actor)))
+    .map(([to]) => to);
+
+/**
+ * Throw unless the transition exists (400), the actor may trigger it (403) and a required reason is given (400)
+ * @param {String} from - Current status
+ * @param {String} to - Target status
+ * @param {String} actor - buyer, seller, admin or system
+ * @param {String} reason - Reason for the change
+ */
+const assertTransition = (from, to, actor, reason) => {
+  const allowed = (PROJECT_TRANSITIONS[from] || {})[to];
+
+  if (!allowed) {
+    const error = new Error(`Cannot change a ${from.toLowerCase()} project to ${to.toLowerCase()}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!allowed.includes(actor)) {
+    const error = new Error(`You are not allowed to change this project to ${to.toLowerCase()}`);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (!reason && actor !== 'system' && (REASON_REQUIRED.includes(to) || from === 'DISPUTED')) {
+    const error = new Error('A reason is required for this status change');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Move a project to a new status and record the change in its history
+ * @param {Object} project - Project with id and status
+ * @param {String} to - Target status
+ * @param {Object} options
+ * @param {String} options.actor - buyer, seller, admin or system
+ * @param {String} options.userId - User making the change (null for system changes)
+ * @param {String} options.reason - Reason for the change
+ * @param {Object} options.data - Extra project fields to update
+ * @param {Object} options.include - Relations to return with the updated project
+ * @param {Array} options.operations - Further Prisma operations to run in the same transaction
+ * @param {Object} options.tx - Interactive transaction to make the change in, instead of a transaction of its own
+ *   (operations are ignored; run them on tx instead)
+ * @returns {Object} Updated project
+ */
+const changeProjectStatus = async (project, to, { actor, userId = null, reason = null, data = {}, include, operations = [], tx }) => {
+  assertTransition(project.status, to, actor, reason);
+
+  const statusOperations = (client) => [
+    // Only applies if nobody changed the status in the meantime
+    client.project.update({
+      where: { id: project.id, status: project.status },
+      data: { ...data, status: to },
+      ...(include && { include }),
+    }),
+    client.projectStatusChange.create({
+      data: {
+        projectId: project.id,
+        fromStatus: project.status,
+        toStatus: to,
+        reason,
+        changedById: userId,
+      },
+    }),
+  ];
+
+  try {
+    if (tx) {
+      const [updateProject, createStatusChange] = statusOperations(tx);
+      const updatedProject = await updateProject;
+      await createStatusChange;
+      return updatedProject;
+    }
+
+    const [updatedProject] = await prisma.$transaction([...statusOperations(prisma), ...operations]);
+
+    return updatedProject;
+  } catch (err) {
+    if (err.code === 'P2025') {
+      const error = new Error('The project status changed in the meantime. Please reload and try again');
+      error.statusCode = 409;
+      throw error;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Operations that accept the winning bid, reject the others and close open counter-offers, for changeProjectStatus
+ * @param {String} projectId - Project being awarded
+ * @param {String} bidId - Winning bid
+ * @returns {Array} Prisma operations
+ */
+const awardBidOperations = (projectId, bidId) => [
+  // Fails the transaction if the bid was withdrawn or expired in the meantime
+  prisma.bid.update({
+    where: { id: bidId, status: 'PENDING' },
+    data: { status: 'ACCEPTED' },
+  }),
+  prisma.bid.updateMany({
+    where: {
+      projectId,
+      id: { not: bidId },
+      status: 'PENDING',
+    },
+    data: { status: 'REJECTED' },
+  }),
+  prisma.bidOffer.updateMany({
+    where: {
+      bid: { projectId },
+      status: 'PENDING',
+    },
+    data: { status: 'SUPERSEDED' },
+  }),
+];
+
+/**
+ * Sellers affected if a project is called off: everyone with an open bid and the selected seller.
+ * Look them up before cancelling, as cancelling rejects the open bids.
+ * @param {Object} project - Project with id and sellerId
+ * @returns {Array} Users with name and email
+ */
+const findAffectedSellers = (project) => prisma.user.findMany({
+  where: {
+    OR: [
+      { bids: { some: { projectId: project.id, status: 'PENDING' } } },
+      ...(project.sellerId ? [{ id: project.sellerId }] : []),
+    ],
+  },
+  select: {
+    name: true,
+    email: true,
+  },
+});
+
+/**
+ * Let affected sellers know a project was cancelled
+ * @param {Object} project - Project with title
+ * @param {Array} sellers - Result of findAffectedSellers
+ * @param {String} reason - Cancellation reason
+ */
+const sendCancellationEmails = async (project, sellers, reason) => {
+  for (const seller of sellers) {
+    await sendEmail({
+      to: seller.email,
+      subject: `Project "${project.title}" has been cancelled`,
+      text: `The project "${project.title}" has been cancelled. Reason: ${reason}`,
+      html: `
+        <h2>Project Cancelled</h2>
+        <p>Hi ${seller.name},</p>
+        <p>The project "${project.title}" has been cancelled.</p>
+        <p>Reason: ${reason}</p>
+      `,
+    });
+  }
+};
+
+module.exports = {
+  PROJECT_TRANSITIONS,
+  canPerformAction,
+  assertProjectAction,
+  getAvailableTransitions,
+  assertTransition,
+  changeProjectStatus,
+  awardBidOperations,
+  findAffectedSellers,
+  sendCancellationEmails,
+};
@@ -0,0 +1,113 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Text search configuration used by the searchVector triggers
+const SEARCH_CONFIG = 'english';
+
+// Markers ts_headline puts around matches, swapped for <mark> tags once the text is escaped
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_END = '\u0002';
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, HighlightAll=true`;
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxFragments=2, MinWords=10, MaxWords=30`;
+
+const extractWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Turn a search string into a to_tsquery expression. Every term has to match:
+ *  - "quoted phrases" match those words next to each other
+ *  - other words match as prefixes, so "design" also finds "designer"
+ * @param {String} input - Search string from the user
+ * @returns {String|null} tsquery expression, or null if the input has no searchable words
+ */
+const buildTsQuery = (input) => {
+  const terms = [];
+
+  const rest = String(input).replace(/"([^"]*)"/g, (match, phrase) => {
+    const words = extractWords(phrase);
+    if (words.length > 0) {
+      terms.push(`(${words.join(' <-> ')})`);
+    }
+    return ' ';
+  });
+
+  terms.push(...extractWords(rest).map(word => `${word}:*`));
+
+  return terms.length > 0 ? terms.join(' & ') : null;
+};
+
+/**
+ * Search projects in one query: match, filter, rank, order and page them in the database
+ * @param {String} tsQuery - Result of buildTsQuery
+ * @param {Object} options
+ * @param {Prisma.Sql[]} options.conditions - Listing filters on "Project" p, already limited to what the user may see
+ * @param {Object|null} options.sort - { field, direction } with a whitelisted field, or null to sort by relevance
+ * @param {Number} options.skip - Matches to skip
+ * @param {Number} options.take - Page size
+ * @returns {Promise<Object>} { relevance: rank by project id for the page, in order; total: number of matches }
+ */
+const searchProjects = async (tsQuery, { conditions = [], sort = null, skip, take }) => {
+  const where = Prisma.join([Prisma.sql`p."searchVector" @@ q`, ...conditions], ' AND ');
+  const orderBy = sort
+    ? Prisma.raw(`p."${sort.field}" ${sort.direction === 'desc' ? 'DESC' : 'ASC'}, p."id" ASC`)
+    : Prisma.raw('"rank" DESC, p."createdAt" DESC, p."id" ASC');
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p."id", ts_rank_cd(p."searchVector", q) AS "rank"
+      FROM "Project" p, to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) q
+      WHERE ${where}
+      ORDER BY ${orderBy}
+      LIMIT ${take} OFFSET ${skip}
+    `,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total"
+      FROM "Project" p, to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) q
+      WHERE ${where}
+    `,
+  ]);
+
+  return {
+    relevance: new Map(rows.map(row => [row.id, Number(row.rank)])),
+    total,
+  };
+};
+
+// Escape project text for HTML, then turn the match markers into <mark> tags
+const toHighlightHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .split(HIGHLIGHT_START).join('<mark>')
+  .split(HIGHLIGHT_END).join('</mark>');
+
+/**
+ * Get the highlighted title and a description snippet for each project
+ * @param {String[]} projectIds - Projects to highlight
+ * @param {String} tsQuery - Result of buildTsQuery
+ * @returns {Promise<Map<String, Object>>} { title, snippet } HTML by project id
+ */
+const getSearchHighlights = async (projectIds, tsQuery) => {
+  if (projectIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT p."id",
+      ts_headline(${SEARCH_CONFIG}::regconfig, p."title", q, ${TITLE_HEADLINE_OPTIONS}) AS "title",
+      ts_headline(${SEARCH_CONFIG}::regconfig, p."description", q, ${SNIPPET_HEADLINE_OPTIONS}) AS "snippet"
+    FROM "Project" p, to_tsquery(${SEARCH_CONFIG}::regconfig, ${tsQuery}) q
+    WHERE p."id" IN (${Prisma.join(projectIds)})
+  `;
+
+  return new Map(rows.map(row => [row.id, {
+    title: toHighlightHtml(row.title),
+    snippet: toHighlightHtml(row.snippet),
+  }]));
+};
+
+module.exports = {
+  buildTsQuery,
+  searchProjects,
+  getSearchHighlights,
+};
@@ -0,0 +1,129 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const BIDDING_MODES = ['SEALED', 'REVERSE_AUCTION'];
+
+// Bids in the last few minutes of an auction push its close back by the same amount
+const getExtensionMs = () => parseInt(process.env.AUCTION_EXTENSION_MINUTES || '5') * 60 * 1000;
+
+/**
+ * Read bidding mode settings from a request body, keeping the project's current values for anything omitted
+ * @param {Object} body - Request body with biddingMode, minBidDecrement and autoAward
+ * @param {Object} current - Project's current settings (empty when creating a project)
+ * @param {Date|null} biddingClosesAt - Bidding close date the project will have
+ * @returns {Object} Fields to save on the project
+ */
+const parseAuctionSettings = (body, current, biddingClosesAt) => {
+  const data = {};
+
+  if (body.biddingMode !== undefined) {
+    data.biddingMode = String(body.biddingMode).toUpperCase();
+    if (!BIDDING_MODES.includes(data.biddingMode)) {
+      const error = new Error('Bidding mode must be SEALED or REVERSE_AUCTION');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+  if (body.minBidDecrement !== undefined) {
+    data.minBidDecrement = body.minBidDecrement === null ? null : parseFloat(body.minBidDecrement);
+  }
+  if (body.autoAward !== undefined) {
+    data.autoAward = Boolean(body.autoAward);
+  }
+
+  const settings = { biddingMode: 'SEALED', minBidDecrement: null, ...current, ...data };
+
+  if (settings.biddingMode === 'REVERSE_AUCTION') {
+    if (!(settings.minBidDecrement > 0)) {
+      const error = new Error('Reverse auctions need a positive minBidDecrement');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!biddingClosesAt) {
+      const error = new Error('Reverse auctions need a biddingClosesAt date');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Current lowest pending bid on a project
+ * @param {String} projectId - Project to check
+ * @param {Object} client - Prisma client, or a transaction client to read inside a transaction
+ * @returns {Promise<Number|null>} Lowest amount, or null without bids
+ */
+const getLowestBidAmount = async (projectId, client = prisma) => {
+  const { _min } = await client.bid.aggregate({
+    where: { projectId, status: 'PENDING' },
+    _min: { amount: true },
+  });
+
+  return _min.amount;
+};
+
+/**
+ * What sellers can see of a reverse auction while it runs
+ * @param {Object} project - Project with id, biddingMode, minBidDecrement, biddingClosesAt and bidCount
+ * @returns {Promise<Object|null>} { lowestAmount, maximumNextBid, minBidDecrement, closesAt, bidCount }, or null for sealed bidding
+ */
+const getAuctionState = async (project) => {
+  if (project.biddingMode !== 'REVERSE_AUCTION') {
+    return null;
+  }
+
+  const lowestAmount = await getLowestBidAmount(project.id);
+
+  return {
+    lowestAmount,
+    maximumNextBid: lowestAmount === null ? null : lowestAmount - project.minBidDecrement,
+    minBidDecrement: project.minBidDecrement,
+    closesAt: project.biddingClosesAt,
+    bidCount: project.bidCount,
+  };
+};
+
+/**
+ * Throw a 400 unless an auction bid undercuts the current lowest bid by the minimum decrement.
+ * Call it inside the transaction that saves the bid, after lockProjectForBidding, so concurrent bids can't both pass.
+ * @param {Object} project - Project with id and minBidDecrement
+ * @param {Number} amount - New bid amount
+ * @param {Object} client - Transaction client the bid is saved with
+ */
+const assertUndercutsLowestBid = async (project, amount, client = prisma) => {
+  const lowestAmount = await getLowestBidAmount(project.id, client);
+
+  if (lowestAmount !== null && amount > lowestAmount - project.minBidDecrement) {
+    const error = new Error(`Bids must undercut the current lowest bid of ${lowestAmount} by at least ${project.minBidDecrement}`);
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Closing time after a bid lands in the last minutes of an auction (anti-sniping).
+ * Extensions never run past the project deadline.
+ * @param {Object} project - Project with biddingClosesAt and deadline
+ * @param {Date} now - When the bid was placed
+ * @returns {Date|null} New closing time, or null if the close stays as it is
+ */
+const getExtendedClosingTime = (project, now = new Date()) => {
+  const extensionMs = getExtensionMs();
+
+  if (!project.biddingClosesAt || project.biddingClosesAt - now > extensionMs) {
+    return null;
+  }
+
+  const closesAt = new Date(Math.min(now.getTime() + extensionMs, project.deadline.getTime()));
+  return closesAt > project.biddingClosesAt ? closesAt : null;
+};
+
+module.exports = {
+  parseAuctionSettings,
+  getAuctionState,
+  assertUndercutsLowestBid,
+  getExtendedClosingTime,
+};
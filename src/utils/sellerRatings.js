@@ -0,0 +1,41 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+/**
+ * Average review rating of each seller
+ * @param {String[]} sellerIds - Sellers to look up
+ * @returns {Promise<Map<String, Object>>} { average, count } by seller id (sellers without reviews are left out)
+ */
+const getSellerRatings = async (sellerIds) => {
+  if (sellerIds.length === 0) {
+    return new Map();
+  }
+
+  const groups = await prisma.review.groupBy({
+    by: ['sellerId'],
+    where: { sellerId: { in: sellerIds } },
+    _avg: { rating: true },
+    _count: { rating: true },
+  });
+
+  return new Map(groups.map(group => [group.sellerId, {
+    average: Math.round(group._avg.rating * 100) / 100,
+    count: group._count.rating,
+  }]));
+};
+
+/**
+ * Attach a seller's rating to a bid's seller
+ * @param {Object} seller - Seller of a bid
+ * @param {Map} ratings - Result of getSellerRatings
+ * @returns {Object} Seller with rating { average, count } (average is null without reviews)
+ */
+const withSellerRating = (seller, ratings) => ({
+  ...seller,
+  rating: ratings.get(seller.id) || { average: null, count: 0 },
+});
+
+module.exports = {
+  getSellerRatings,
+  withSellerRating,
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS || '30');
+
+/**
+ * Hash a token for storage (refresh tokens are never stored in plain text)
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Make sure an account is allowed to sign in. Suspensions with an end date lapse on their own.
+ * @param {Object} user - User with status and suspendedUntil
+ */
+const assertAccountActive = (user) => {
+  if (user.status === 'DELETED') {
+    const error = new Error('User not found');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (user.status === 'BANNED') {
+    const error = new Error('Your account has been banned');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (
+    user.status === 'SUSPENDED' &&
+    (!user.suspendedUntil || user.suspendedUntil > new Date())
+  ) {
+    const error = new Error('Your account has been suspended');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+/**
+ * Generate a short-lived access token bound to a session
+ * @param {Object} user - User the token is issued to
+ * @param {String} sessionId - Session the token belongs to
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+// even when the secret is stale, which lets us detect reuse of rotated tokens
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, tokenHash: hashToken(secret) };
+};
+
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Create a new session and issue an access/refresh token pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request (used for device metadata)
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const createSession = async (user, req) => {
+  assertAccountActive(user);
+
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, tokenHash } = buildRefreshToken(sessionId);
+
+  await prisma.session.create({
+    data: {
+      id: sessionId,
+      tokenHash,
+      expiresAt: refreshExpiry(),
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null,
+      user: {
+        connect: { id: user.id },
+      },
+    },
+  });
+
+  return {
+    token: generateAccessToken(user, sessionId),
+    refreshToken,
+  };
+};
+
+// A rotated token was replayed - assume it leaked and kill the session
+const rejectReusedToken = async (sessionId) => {
+  await revokeSession(sessionId);
+
+  const error = new Error('Refresh token has already been used');
+  error.statusCode = 401;
+  throw error;
+};
+
+/**
+ * Rotate a refresh token. The presented token is invalidated and a new pair is issued.
+ * Presenting an already-rotated token revokes the whole session.
+ * @param {String} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object>} { token, refreshToken, user }
+ */
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+
+  const session = sessionId && secret
+    ? await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: { user: true },
+    })
+    : null;
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    const error = new Error('Invalid or expired refresh token');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const presentedHash = hashToken(secret);
+  if (session.tokenHash !== presentedHash) {
+    await rejectReusedToken(session.id);
+  }
+
+  assertAccountActive(session.user);
+
+  const { refreshToken: nextRefreshToken, tokenHash } = buildRefreshToken(session.id);
+
+  // Only rotates if nobody else rotated the same token first; if someone did, it was replayed
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, tokenHash: presentedHash, revokedAt: null },
+    data: {
+      tokenHash,
+      expiresAt: refreshExpiry(),
+      lastUsedAt: new Date(),
+    },
+  });
+
+  if (count === 0) {
+    await rejectReusedToken(session.id);
+  }
+
+  return {
+    token: generateAccessToken(session.user, session.id),
+    refreshToken: nextRefreshToken,
+    user: session.user,
+  };
+};
+
+/**
+ * Revoke a single session
+ * @param {String} sessionId - Session to revoke
+ */
+const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {String} userId - Owner of the sessions
+ * @param {String} [exceptSessionId] - Session to keep alive (e.g. the current one)
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { not: exceptSessionId };
+  }
+
+  const result = await prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date() },
+  });
+
+  return result.count;
+};
+
+module.exports = {
+  hashToken,
+  assertAccountActive,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
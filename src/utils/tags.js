@@ -0,0 +1,67 @@
+// Symbols that tell otherwise identical names apart ("C", "C++", "C#")
+const SLUG_SYMBOLS = {
+  '+': ' plus ',
+  '#': ' sharp ',
+};
+
+/**
+ * Turn a name into a URL-friendly slug ("Node.js Developer" -> "node-js-developer", "C++" -> "c-plus-plus").
+ * Letters and digits of any script are kept, so "日本語" stays "日本語".
+ * @param {String} name - Display name
+ * @returns {String} Slug, empty if the name has no letters or digits
+ */
+const slugify = (name) => {
+  return String(name)
+    .normalize('NFKC')
+    .toLowerCase()
+    .trim()
+    .replace(/[+#]/g, symbol => SLUG_SYMBOLS[symbol])
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Normalize tag input (an array or a comma-separated string) into unique, non-empty names.
+ * Throws a 400 for a name without any letters or digits rather than dropping it.
+ * @param {String|String[]} input - Tag names
+ * @returns {String[]}
+ */
+const parseTagNames = (input) => {
+  const names = Array.isArray(input) ? input : String(input || '').split(',');
+  const bySlug = new Map();
+
+  for (const name of names) {
+    const trimmed = String(name).trim();
+    if (!trimmed) continue;
+
+    const slug = slugify(trimmed);
+    if (!slug) {
+      const error = new Error(`Tag "${trimmed}" needs at least one letter or digit`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!bySlug.has(slug)) {
+      bySlug.set(slug, trimmed);
+    }
+  }
+
+  return Array.from(bySlug.values());
+};
+
+/**
+ * Build a Prisma connectOrCreate list for tag names, creating tags that don't exist yet
+ * @param {String[]} names - Tag names
+ */
+const connectOrCreateTags = (names) => {
+  return names.map(name => ({
+    where: { slug: slugify(name) },
+    create: { name, slug: slugify(name) },
+  }));
+};
+
+module.exports = {
+  slugify,
+  parseTagNames,
+  connectOrCreateTags,
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { hashToken } = require('./sessionService');
+
+// RFC 6238 defaults, which is what authenticator apps expect
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for a given counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate a new base32 TOTP secret
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI authenticator apps scan as a QR code
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Usually the user's email
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'ProBid';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} [lastUsedStep] - Last accepted time step, codes at or before it are rejected (no replay)
+ * @returns {Number|null} Time step the code matched, or null
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const normalizedCode = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {String} userId - Owner of the codes
+ * @returns {Promise<String[]>} Plain codes (shown to the user once)
+ */
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(code) })),
+    }),
+  ]);
+
+  return codes;
+};
+
+/**
+ * Verify a second factor: either a TOTP code or an unused recovery code.
+ * Accepted codes can't be used again.
+ * @param {Object} user - User with id, twoFactorSecret and twoFactorLastStep
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Boolean>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const result = await prisma.recoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashToken(String(recoveryCode).trim().toLowerCase()),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+    return result.count > 0;
+  }
+
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastStep);
+  if (step === null) return false;
+
+  // Only succeeds for the first request to use this step, so the same code can't be used twice at once
+  const result = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }],
+    },
+    data: { twoFactorLastStep: step },
+  });
+  return result.count > 0;
+};
+
+module.exports = {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
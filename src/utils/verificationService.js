@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+const { sendEmail } = require('./emailService');
+const { hashToken } = require('./sessionService');
+
+// Token lifetimes in milliseconds
+const TOKEN_TTL = {
+  EMAIL_VERIFICATION: 24 * 60 * 60 * 1000, // 24 hours
+  PASSWORD_RESET: 60 * 60 * 1000, // 1 hour
+};
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Issue a single-use token for a user. Any earlier unused token of the same type is invalidated.
+ * @param {String} userId - Owner of the token
+ * @param {String} type - EMAIL_VERIFICATION or PASSWORD_RESET
+ * @returns {Promise<String>} Raw token (only the hash is stored)
+ */
+const issueUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.userToken.updateMany({
+    where: { userId, type, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  await prisma.userToken.create({
+    data: {
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL[type]),
+      user: {
+        connect: { id: userId },
+      },
+    },
+  });
+
+  return token;
+};
+
+/**
+ * Consume a single-use token
+ * @param {String} token - Raw token presented by the user
+ * @param {String} type - Expected token type
+ * @returns {Promise<String>} Id of the user the token belongs to
+ */
+const consumeUserToken = async (token, type) => {
+  const tokenHash = hashToken(token || '');
+
+  // Mark as used in the same statement that checks it, so a token can't be redeemed twice
+  const result = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      type,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (result.count === 0) {
+    const error = new Error('Invalid or expired token');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const userToken = await prisma.userToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true },
+  });
+
+  return userToken.userId;
+};
+
+/**
+ * Send an email verification link
+ * @param {Object} user - User with id, name and email
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'EMAIL_VERIFICATION');
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name}, please verify your email address by opening this link: ${link}. The link expires in 24 hours.`,
+    html: `
+      <h2>Verify your email address</h2>
+      <p>Hi ${user.name},</p>
+      <p>Please confirm your email address by clicking the link below:</p>
+      <p><a href="${link}">Verify email</a></p>
+      <p>The link expires in 24 hours.</p>
+    `,
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User with id, name and email
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueUserToken(user.id, 'PASSWORD_RESET');
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name}, you can reset your password by opening this link: ${link}. The link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    html: `
+      <h2>Reset your password</h2>
+      <p>Hi ${user.name},</p>
+      <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+      <p><a href="${link}">Reset password</a></p>
+      <p>The link expires in 1 hour. If you didn't request this, you can ignore this email.</p>
+    `,
+  });
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};